@@ -0,0 +1,107 @@
+// AI Opponent Profiles for Q-Poker
+// Custom opponents made in the personality editor, and the table line-up, kept in localStorage so both
+// carry over between sessions. The built-in opponents stay in PokerGame.getAIRoster(), which lists the
+// custom ones after them.
+
+class AIProfileStore {
+    constructor() {
+        this.STORAGE_KEY = 'qpoker_ai_profiles';
+        this.loadData();
+    }
+
+    loadData() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+        } catch (e) {
+            stored = null;
+        }
+        this.data = {
+            profiles: [], // [{id, name, avatar, tightness, aggression, bluffFrequency, betSizing, tilt, showdown}]
+            nextId: 1,
+            lineup: null, // {size, seats: [profile id per AI seat], difficulties: [level or null per AI seat]}
+            ...(stored || {})
+        };
+    }
+
+    saveData() {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.data));
+    }
+
+    getProfiles() {
+        return this.data.profiles.map(profile => ({ ...profile }));
+    }
+
+    getProfile(id) {
+        const profile = this.data.profiles.find(p => p.id === id);
+        return profile ? { ...profile } : null;
+    }
+
+    // Add a profile, or replace the one with the same id. takenNames: names used elsewhere (the built-in
+    // opponents and the human), since opponent stats and hand histories are keyed by name.
+    // Returns {ok: true, profile} or {ok: false, message}.
+    saveProfile(fields, takenNames = []) {
+        const name = String(fields.name || '').trim();
+        if (!name) return { ok: false, message: 'Give the opponent a name.' };
+        if (name.length > AIProfileStore.MAX_NAME_LENGTH) {
+            return { ok: false, message: `Names can be at most ${AIProfileStore.MAX_NAME_LENGTH} characters.` };
+        }
+        // Names end up in table messages and hand histories as they are
+        if (/[<>&"]/.test(name)) return { ok: false, message: 'Names can\'t contain <, >, & or ".' };
+        // Exported histories read seats back from "Name: action" lines and "Name (button)" markers
+        if (name.includes(':') || /\(.*\)$/.test(name)) {
+            return { ok: false, message: 'Names can\'t contain a colon or end in brackets.' };
+        }
+        const clash = name.toLowerCase();
+        if (takenNames.some(taken => taken.toLowerCase() === clash) ||
+            this.data.profiles.some(p => p.id !== fields.id && p.name.toLowerCase() === clash)) {
+            return { ok: false, message: `There is already a player called ${name}.` };
+        }
+
+        const profile = { id: fields.id || `custom-${this.data.nextId++}`, name: name };
+        profile.avatar = AIProfileStore.AVATARS.includes(fields.avatar) ? fields.avatar : AIProfileStore.AVATARS[0];
+        Object.keys(AIProfileStore.KNOBS).forEach(knob => {
+            const value = parseFloat(fields[knob]);
+            profile[knob] = isFinite(value) ? Math.max(0, Math.min(1, value)) : AIProfileStore.KNOBS[knob].value;
+        });
+
+        const index = this.data.profiles.findIndex(p => p.id === profile.id);
+        if (index >= 0) this.data.profiles[index] = profile;
+        else this.data.profiles.push(profile);
+        this.saveData();
+        return { ok: true, profile: { ...profile } };
+    }
+
+    deleteProfile(id) {
+        const before = this.data.profiles.length;
+        this.data.profiles = this.data.profiles.filter(p => p.id !== id);
+        if (this.data.profiles.length === before) return false;
+        this.saveData();
+        return true;
+    }
+
+    getLineup() {
+        return this.data.lineup ? { ...this.data.lineup } : null;
+    }
+
+    saveLineup(size, seats, difficulties) {
+        this.data.lineup = { size: size, seats: seats.slice(), difficulties: difficulties.slice() };
+        this.saveData();
+    }
+}
+
+// Personality knobs, all 0-1, with their defaults for new profiles
+AIProfileStore.KNOBS = {
+    tightness: { label: 'Tightness', desc: 'How few hands it plays', value: 0.5 },
+    aggression: { label: 'Aggression', desc: 'Betting and raising rather than checking and calling', value: 0.5 },
+    bluffFrequency: { label: 'Bluffing', desc: 'How often weak hands and draws bet anyway', value: 0.3 },
+    betSizing: { label: 'Bet Sizing', desc: 'Small bets to big ones (Advanced difficulty)', value: 0.5 },
+    tilt: { label: 'Tilt', desc: 'How wild it plays for a few hands after a big loss', value: 0.2 },
+    showdown: { label: 'Showdown', desc: 'How light it calls down to see a showdown', value: 0.5 }
+};
+
+AIProfileStore.AVATARS = ['🙂', '😎', '🤠', '🧐', '😈', '🤖', '👽', '🦊', '🐻', '🐼', '🦉', '🐙', '👑', '💀', '🧙', '🥷'];
+AIProfileStore.MAX_NAME_LENGTH = 20;
+
+// Export for use in HTML
+window.AIProfileStore = AIProfileStore;
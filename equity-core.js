@@ -0,0 +1,320 @@
+// Equity Core for Q-Poker
+// Exact enumeration or Monte Carlo runouts on integer card codes, shared by the main thread
+// (LearningEngine, EquityService fallback) and equity-worker.js. Needs HandEvaluator from hand-evaluator.js.
+//
+// job: {holeCodes, boardCodes, numOpponents, omaha, ranges}
+// ranges (optional, hold'em only): one entry per opponent, either null for a random hand or
+// {combos: [a1, b1, a2, b2, ...], weights: [w1, w2, ...]} as built by RangeCalculator.getCombos()
+
+class EquityCalculator {
+    constructor(evaluator = new HandEvaluator()) {
+        this.evaluator = evaluator;
+    }
+
+    // Cards still unseen by the player, as codes
+    static remainingDeck(job) {
+        const known = new Set([...job.holeCodes, ...job.boardCodes]);
+        const deck = [];
+        for (let code = 0; code < 52; code++) {
+            if (!known.has(code)) deck.push(code);
+        }
+        return deck;
+    }
+
+    static choose(n, k) {
+        if (k < 0 || k > n) return 0;
+        let result = 1;
+        for (let i = 1; i <= k; i++) result = result * (n - k + i) / i;
+        return Math.round(result);
+    }
+
+    // Drop combos blocked by the player's cards or the board and build cumulative weights for sampling.
+    // An opponent whose range is missing or fully blocked gets null (a random hand).
+    static prepareRanges(job) {
+        const ranges = [];
+        const known = new Set([...job.holeCodes, ...job.boardCodes]);
+        for (let opp = 0; opp < job.numOpponents; opp++) {
+            const range = job.ranges && !job.omaha ? job.ranges[opp] : null;
+            if (!range) {
+                ranges.push(null);
+                continue;
+            }
+
+            const combos = [];
+            const weights = [];
+            const cumulative = [];
+            let total = 0;
+            for (let i = 0; i < range.weights.length; i++) {
+                const a = range.combos[i * 2];
+                const b = range.combos[i * 2 + 1];
+                const weight = range.weights[i];
+                if (weight <= 0 || known.has(a) || known.has(b)) continue;
+                total += weight;
+                combos.push(a, b);
+                weights.push(weight);
+                cumulative.push(total);
+            }
+            ranges.push(weights.length ? { combos, weights, cumulative, total } : null);
+        }
+        return ranges;
+    }
+
+    // Strength of a hand against fullBoard, reading fullBoard at call time
+    strengthFunction(job, fullBoard) {
+        const evaluator = this.evaluator;
+        const holeCount = job.holeCodes.length;
+        const sevenCards = new Array(holeCount + 5);
+        return (hole) => {
+            if (job.omaha) return evaluator.evaluateOmaha(hole, fullBoard);
+            for (let c = 0; c < holeCount; c++) sevenCards[c] = hole[c];
+            for (let b = 0; b < 5; b++) sevenCards[holeCount + b] = fullBoard[b];
+            return evaluator.evaluate(sevenCards);
+        };
+    }
+
+    // Hand evaluations a full enumeration would need (Omaha evaluates 60 five-card hands per player)
+    countEvaluations(job) {
+        const holeCount = job.holeCodes.length;
+        const ranges = EquityCalculator.prepareRanges(job);
+        let unseen = 52 - holeCount - job.boardCodes.length;
+        const cardsNeeded = 5 - job.boardCodes.length;
+        const boards = EquityCalculator.choose(unseen, cardsNeeded);
+        unseen -= cardsNeeded;
+
+        let opponentDeals = 1;
+        for (let opp = 0; opp < job.numOpponents; opp++) {
+            opponentDeals *= ranges[opp] ? ranges[opp].weights.length : EquityCalculator.choose(unseen, holeCount);
+            unseen -= holeCount;
+        }
+        const perHand = job.omaha ? 60 : 1;
+        return boards * (1 + opponentDeals * job.numOpponents) * perHand;
+    }
+
+    canEnumerate(job, budget = EquityCalculator.EXACT_BUDGET) {
+        return this.countEvaluations(job) <= budget;
+    }
+
+    // Exact equity when the spot fits the budget, Monte Carlo otherwise
+    calculate(job, iterations, rng) {
+        const totals = this.canEnumerate(job) ? this.enumerate(job) : this.simulate(job, iterations, rng);
+        return EquityCalculator.summarize(totals);
+    }
+
+    // Every runout and every opponent holding, each counted once (ranged holdings by their weight).
+    // Returns exact totals.
+    enumerate(job) {
+        const totals = { wins: 0, ties: 0, iterations: 0, exact: true };
+        const deck = EquityCalculator.remainingDeck(job);
+        const ranges = EquityCalculator.prepareRanges(job);
+        const used = new Uint8Array(52); // By card code
+        const holeCount = job.holeCodes.length;
+        const boardStart = job.boardCodes.length;
+        const cardsNeeded = 5 - boardStart;
+        const numOpponents = job.numOpponents;
+
+        const fullBoard = job.boardCodes.slice();
+        const strengthOf = this.strengthFunction(job, fullBoard);
+        const oppHands = [];
+        for (let opp = 0; opp < numOpponents; opp++) oppHands.push(new Array(holeCount));
+
+        // Opponent deals left once `opp` opponents have cards, so a lost branch can be counted without
+        // walking it. Only possible while every later opponent holds a random hand (null otherwise).
+        const dealsAfter = [];
+        for (let opp = 0; opp <= numOpponents; opp++) {
+            let deals = 1;
+            let unseen = deck.length - cardsNeeded - opp * holeCount;
+            for (let rest = opp; rest < numOpponents && deals !== null; rest++) {
+                deals = ranges[rest] ? null : deals * EquityCalculator.choose(unseen, holeCount);
+                unseen -= holeCount;
+            }
+            dealsAfter.push(deals);
+        }
+
+        // Call visit() for every set of `count` unused deck cards written into target from offset
+        const pick = (from, count, target, offset, visit) => {
+            if (count === 0) {
+                visit();
+                return;
+            }
+            for (let i = from; i <= deck.length - count; i++) {
+                const card = deck[i];
+                if (used[card]) continue;
+                used[card] = 1;
+                target[offset] = card;
+                pick(i + 1, count - 1, target, offset + 1, visit);
+                used[card] = 0;
+            }
+        };
+
+        let playerStrength = 0;
+        const dealOpponents = (opp, tied, lost, weight) => {
+            if (opp === numOpponents) {
+                totals.iterations += weight;
+                if (lost) return;
+                if (tied) totals.ties += weight;
+                else totals.wins += weight;
+                return;
+            }
+
+            const next = (hole, handWeight) => {
+                const opponentStrength = lost ? 0 : strengthOf(hole);
+                if (opponentStrength > playerStrength && dealsAfter[opp + 1] !== null) {
+                    totals.iterations += handWeight * dealsAfter[opp + 1];
+                    return;
+                }
+                dealOpponents(opp + 1, tied || opponentStrength === playerStrength,
+                    lost || opponentStrength > playerStrength, handWeight);
+            };
+
+            const range = ranges[opp];
+            if (!range) {
+                pick(0, holeCount, oppHands[opp], 0, () => next(oppHands[opp], weight));
+                return;
+            }
+            const hole = oppHands[opp];
+            for (let i = 0; i < range.weights.length; i++) {
+                const a = range.combos[i * 2];
+                const b = range.combos[i * 2 + 1];
+                if (used[a] || used[b]) continue;
+                used[a] = used[b] = 1;
+                hole[0] = a;
+                hole[1] = b;
+                next(hole, weight * range.weights[i]);
+                used[a] = used[b] = 0;
+            }
+        };
+
+        pick(0, cardsNeeded, fullBoard, boardStart, () => {
+            playerStrength = strengthOf(job.holeCodes);
+            dealOpponents(0, false, false, 1);
+        });
+        return totals;
+    }
+
+    // Adds `iterations` runouts to totals and returns it, so a long calculation can be run in batches
+    // with a running estimate. Ranged opponents are dealt first (by weight), then the board, then
+    // everyone holding a random hand.
+    simulate(job, iterations, rng, totals = { wins: 0, ties: 0, iterations: 0 }) {
+        const holeCodes = job.holeCodes;
+        const holeCount = holeCodes.length;
+        const deck = EquityCalculator.remainingDeck(job);
+        const ranges = EquityCalculator.prepareRanges(job);
+        const position = new Int8Array(52); // Where each unseen card sits in deck
+        deck.forEach((card, index) => { position[card] = index; });
+
+        const fullBoard = job.boardCodes.slice();
+        const cardsNeeded = 5 - job.boardCodes.length;
+        const oppHands = [];
+        for (let opp = 0; opp < job.numOpponents; opp++) oppHands.push(new Array(holeCount));
+        const strengthOf = this.strengthFunction(job, fullBoard);
+
+        // Partial Fisher-Yates: each dealt card is swapped to the back of the live part of the deck
+        let remaining = 0;
+        const take = (index) => {
+            const card = deck[index];
+            const last = deck[remaining - 1];
+            deck[index] = last;
+            position[last] = index;
+            deck[remaining - 1] = card;
+            position[card] = remaining - 1;
+            remaining--;
+            return card;
+        };
+        const draw = () => take(rng.nextInt(remaining));
+
+        // Weighted pick from a range, rejecting combos that collide with cards already dealt
+        const dealFromRange = (range, hole) => {
+            for (let attempt = 0; attempt < 50; attempt++) {
+                const target = rng.next() * range.total;
+                let low = 0;
+                let high = range.cumulative.length - 1;
+                while (low < high) {
+                    const mid = (low + high) >> 1;
+                    if (range.cumulative[mid] > target) high = mid;
+                    else low = mid + 1;
+                }
+                const a = range.combos[low * 2];
+                const b = range.combos[low * 2 + 1];
+                if (position[a] < remaining && position[b] < remaining) {
+                    hole[0] = take(position[a]);
+                    hole[1] = take(position[b]);
+                    return;
+                }
+            }
+            hole[0] = draw(); // Everything in range is blocked this runout
+            hole[1] = draw();
+        };
+
+        for (let i = 0; i < iterations; i++) {
+            remaining = deck.length;
+
+            for (let opp = 0; opp < job.numOpponents; opp++) {
+                if (ranges[opp]) dealFromRange(ranges[opp], oppHands[opp]);
+            }
+
+            // Deal remaining community cards if needed
+            for (let j = 0; j < cardsNeeded; j++) {
+                fullBoard[job.boardCodes.length + j] = draw();
+            }
+            const playerStrength = strengthOf(holeCodes);
+
+            // Deal random opponent hands (same number of hole cards as the player, e.g. 4 in Omaha)
+            let playerWins = true;
+            let isTie = false;
+            for (let opp = 0; opp < job.numOpponents; opp++) {
+                const oppHand = oppHands[opp];
+                if (!ranges[opp]) {
+                    for (let c = 0; c < holeCount; c++) oppHand[c] = draw();
+                }
+                const opponentStrength = strengthOf(oppHand);
+                if (opponentStrength > playerStrength) {
+                    playerWins = false;
+                    break;
+                } else if (opponentStrength === playerStrength) {
+                    isTie = true;
+                }
+            }
+
+            if (playerWins) {
+                if (isTie) totals.ties++;
+                else totals.wins++;
+            }
+        }
+
+        totals.iterations += iterations;
+        return totals;
+    }
+
+    // method is 'exact' or 'monte-carlo'; sampled results carry a 95% confidence interval on equity
+    static summarize(totals) {
+        const n = totals.iterations || 1;
+        const equity = (totals.wins + totals.ties * 0.5) / n;
+        const result = {
+            winRate: totals.wins / n,
+            tieRate: totals.ties / n,
+            equity: equity,
+            iterations: totals.iterations,
+            method: totals.exact ? 'exact' : 'monte-carlo',
+            confidenceInterval: null
+        };
+
+        if (!totals.exact) {
+            // Each runout scores 1, 0.5 or 0
+            const variance = Math.max(0, (totals.wins + totals.ties * 0.25) / n - equity * equity);
+            const margin = 1.96 * Math.sqrt(variance / n);
+            result.confidenceInterval = {
+                low: Math.max(0, equity - margin),
+                high: Math.min(1, equity + margin),
+                margin: margin
+            };
+        }
+        return result;
+    }
+}
+
+// Exact enumeration is used when it needs at most this many hand evaluations
+// (heads-up hold'em from the turn on; flops, multiway rivers and Omaha are sampled)
+EquityCalculator.EXACT_BUDGET = 100000;
+
+// Export for use in HTML (and the worker, which aliases window to self)
+window.EquityCalculator = EquityCalculator;
@@ -0,0 +1,136 @@
+// Equity Service for Q-Poker
+// Promise-based front end for equity-worker.js. Falls back to batched work on the main thread
+// when workers aren't available (e.g. the page was opened from file://).
+
+class EquityService {
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || 'equity-worker.js';
+        this.batchSize = options.batchSize || 250;
+        this.nextId = 1;
+        this.pending = new Map(); // id -> request
+        this.calculator = new EquityCalculator(); // Main-thread fallback
+        this.worker = this.createWorker();
+    }
+
+    createWorker() {
+        if (typeof Worker === 'undefined') return null;
+        try {
+            const worker = new Worker(this.workerUrl);
+            worker.onmessage = (event) => this.handleMessage(event.data);
+            worker.onerror = (event) => {
+                console.warn('Equity worker failed, continuing on the main thread:', event.message);
+                this.fallBackToMainThread();
+            };
+            return worker;
+        } catch (err) {
+            console.warn('Equity worker unavailable, using the main thread:', err.message);
+            return null;
+        }
+    }
+
+    fallBackToMainThread() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        // Restart whatever the worker was in the middle of
+        this.pending.forEach(request => this.runOnMainThread(request));
+    }
+
+    // Resolves with the final {equity, winRate, tieRate, iterations, method, confidenceInterval}. options.onProgress receives every
+    // intermediate estimate. A cancelled request rejects with an error whose `cancelled` is true.
+    // The returned promise carries its request id for cancel().
+    calculate(job, options = {}) {
+        const request = {
+            id: this.nextId++,
+            job: job,
+            iterations: options.iterations || 2000,
+            seed: options.seed === undefined ? SeededRandom.randomSeed() : options.seed,
+            stateKey: options.stateKey || null,
+            onProgress: options.onProgress || null
+        };
+
+        const promise = new Promise((resolve, reject) => {
+            request.resolve = resolve;
+            request.reject = reject;
+        });
+        promise.id = request.id;
+
+        this.pending.set(request.id, request);
+        if (this.worker) {
+            this.worker.postMessage({
+                type: 'equity',
+                id: request.id,
+                job: job,
+                iterations: request.iterations,
+                batchSize: this.batchSize,
+                seed: request.seed
+            });
+        } else {
+            this.runOnMainThread(request);
+        }
+        return promise;
+    }
+
+    // Same batches as the worker, yielding between them so animations keep running
+    runOnMainThread(request) {
+        if (this.calculator.canEnumerate(request.job)) {
+            setTimeout(() => {
+                if (this.pending.get(request.id) !== request) return; // Cancelled
+                const result = EquityCalculator.summarize(this.calculator.enumerate(request.job));
+                this.handleMessage({ type: 'done', id: request.id, result: result });
+            }, 0);
+            return;
+        }
+
+        const rng = new SeededRandom(request.seed);
+        const totals = { wins: 0, ties: 0, iterations: 0 };
+
+        const step = () => {
+            if (this.pending.get(request.id) !== request) return; // Cancelled
+            this.calculator.simulate(request.job, Math.min(this.batchSize, request.iterations - totals.iterations), rng, totals);
+            const done = totals.iterations >= request.iterations;
+            this.handleMessage({ type: done ? 'done' : 'progress', id: request.id, result: EquityCalculator.summarize(totals) });
+            if (!done) setTimeout(step, 0);
+        };
+        setTimeout(step, 0);
+    }
+
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return; // Cancelled while the message was in flight
+
+        if (message.type === 'progress') {
+            if (request.onProgress) request.onProgress(message.result);
+        } else if (message.type === 'done') {
+            this.pending.delete(message.id);
+            if (request.onProgress) request.onProgress(message.result);
+            request.resolve(message.result);
+        }
+    }
+
+    cancel(id) {
+        const request = this.pending.get(id);
+        if (!request) return false;
+
+        this.pending.delete(id);
+        if (this.worker) this.worker.postMessage({ type: 'cancel', id: id });
+
+        const error = new Error('Equity calculation cancelled');
+        error.cancelled = true;
+        request.reject(error);
+        return true;
+    }
+
+    // Drop every request made for a different game state, e.g. once the street has changed
+    cancelStale(stateKey) {
+        [...this.pending.values()]
+            .filter(request => request.stateKey !== stateKey)
+            .forEach(request => this.cancel(request.id));
+    }
+
+    cancelAll() {
+        [...this.pending.keys()].forEach(id => this.cancel(id));
+    }
+}
+
+// Export for use in HTML
+window.EquityService = EquityService;
@@ -0,0 +1,56 @@
+// Equity Worker for Q-Poker
+// Runs equity off the main thread: exact when the spot is small enough, otherwise Monte Carlo in
+// batches, posting a refined estimate after each one.
+// Messages in:  {type: 'equity', id, job, iterations, batchSize, seed} | {type: 'cancel', id}
+// Messages out: {type: 'progress' | 'done', id, result} | {type: 'cancelled', id}
+
+self.window = self; // The shared scripts export through window.X
+importScripts('rng.js', 'hand-evaluator.js', 'equity-core.js');
+
+const calculator = new EquityCalculator();
+const activeJobs = new Set();
+const cancelledJobs = new Set();
+
+self.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'cancel') {
+        if (activeJobs.has(message.id)) cancelledJobs.add(message.id);
+    } else if (message.type === 'equity') {
+        runJob(message);
+    }
+};
+
+// Yield between batches so cancel messages (and other jobs) get a turn
+function runJob({ id, job, iterations, batchSize, seed }) {
+    // Small spots are enumerated in one go; there's nothing to refine
+    if (calculator.canEnumerate(job)) {
+        self.postMessage({ type: 'done', id: id, result: EquityCalculator.summarize(calculator.enumerate(job)) });
+        return;
+    }
+
+    const rng = new SeededRandom(seed);
+    const totals = { wins: 0, ties: 0, iterations: 0 };
+    activeJobs.add(id);
+
+    const step = () => {
+        if (cancelledJobs.has(id)) {
+            cancelledJobs.delete(id);
+            activeJobs.delete(id);
+            self.postMessage({ type: 'cancelled', id: id });
+            return;
+        }
+
+        calculator.simulate(job, Math.min(batchSize, iterations - totals.iterations), rng, totals);
+        const result = EquityCalculator.summarize(totals);
+
+        if (totals.iterations >= iterations) {
+            activeJobs.delete(id);
+            self.postMessage({ type: 'done', id: id, result: result });
+            return;
+        }
+        self.postMessage({ type: 'progress', id: id, result: result });
+        setTimeout(step, 0);
+    };
+
+    step();
+}
@@ -0,0 +1,159 @@
+// Hand Database for Q-Poker
+// Every finished hand (and every imported one) kept in IndexedDB, so history survives reloads and
+// isn't capped like PokerGame.handHistory. Falls back to memory when IndexedDB isn't available
+// (e.g. private browsing in some browsers); hands then last for the session only.
+//
+// Records are hand logs with a `summary` ({time, type, position, category, net, result, ...}) added by
+// PokerGame.storeHand() for filtering.
+
+class HandDatabase {
+    constructor(options = {}) {
+        this.name = options.name || 'qpoker';
+        this.memory = null; // id -> hand when IndexedDB is unavailable
+        this.ready = this.open();
+    }
+
+    // Resolves with the database, or null once the memory fallback is in use
+    open() {
+        if (typeof indexedDB === 'undefined') return Promise.resolve(this.useMemory());
+
+        return new Promise(resolve => {
+            let request;
+            try {
+                request = indexedDB.open(this.name, HandDatabase.VERSION);
+            } catch (err) {
+                console.warn('Hand database unavailable, keeping hands for this session only:', err.message);
+                resolve(this.useMemory());
+                return;
+            }
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('hands')) {
+                    const store = db.createObjectStore('hands', { keyPath: 'id' });
+                    store.createIndex('time', 'summary.time');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Hand database unavailable, keeping hands for this session only:', request.error);
+                resolve(this.useMemory());
+            };
+        });
+    }
+
+    useMemory() {
+        this.memory = new Map();
+        return null;
+    }
+
+    // Insert or replace (by id)
+    saveHand(hand) {
+        return this.ready.then(db => {
+            if (!db) {
+                this.memory.set(hand.id, JSON.parse(JSON.stringify(hand)));
+                return;
+            }
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction('hands', 'readwrite');
+                tx.objectStore('hands').put(hand);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        });
+    }
+
+    getHand(id) {
+        return this.ready.then(db => {
+            if (!db) return this.memory.get(id) || null;
+            return new Promise((resolve, reject) => {
+                const request = db.transaction('hands', 'readonly').objectStore('hands').get(id);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    // Newest first. filters: {type, position, category, result, from, to} (from/to in ms, inclusive);
+    // missing or empty filters match everything. Resolves with {hands, total, hasMore}. The walk stops once
+    // the page is full, so total (every match) is only known without summary filters; it is null with them.
+    query(filters = {}, options = {}) {
+        const offset = options.offset || 0;
+        const limit = options.limit || 25;
+        const filtered = HandDatabase.hasSummaryFilters(filters);
+        const hands = [];
+        let skipped = 0;
+        let hasMore = false;
+        // Returns false once the page is full and one more match shows there is another page
+        const visit = (hand) => {
+            if (!HandDatabase.matches(hand, filters)) return true;
+            if (hands.length === limit) {
+                hasMore = true;
+                return false;
+            }
+            if (skipped < offset) skipped++;
+            else hands.push(hand);
+            return true;
+        };
+
+        return this.ready.then(db => {
+            if (!db) {
+                const matching = [...this.memory.values()]
+                    .filter(hand => HandDatabase.matches(hand, filters))
+                    .sort((a, b) => b.summary.time - a.summary.time);
+                return {
+                    hands: matching.slice(offset, offset + limit),
+                    total: filtered ? null : matching.length,
+                    hasMore: matching.length > offset + limit
+                };
+            }
+            return new Promise((resolve, reject) => {
+                const range = IDBKeyRange.bound(filters.from || 0, filters.to || Infinity);
+                const tx = db.transaction('hands', 'readonly');
+                const index = tx.objectStore('hands').index('time');
+                let total = null;
+                if (!filtered) {
+                    const count = index.count(range);
+                    count.onsuccess = () => { total = count.result; };
+                }
+
+                // Without summary filters every hand in the range matches, so the offset can be skipped unread
+                let advanced = filtered || offset === 0;
+                if (!filtered) skipped = offset;
+                const request = index.openCursor(range, 'prev');
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    if (!advanced) {
+                        advanced = true;
+                        cursor.advance(offset);
+                        return;
+                    }
+                    if (visit(cursor.value)) cursor.continue();
+                };
+                tx.oncomplete = () => resolve({
+                    hands,
+                    total,
+                    hasMore: filtered ? hasMore : offset + hands.length < total
+                });
+                tx.onerror = () => reject(tx.error);
+            });
+        });
+    }
+
+    static hasSummaryFilters(filters) {
+        return ['type', 'position', 'category', 'result'].some(key => filters[key]);
+    }
+
+    static matches(hand, filters) {
+        const summary = hand.summary;
+        if (!summary) return false;
+        if (filters.from && summary.time < filters.from) return false;
+        if (filters.to && summary.time > filters.to) return false;
+        return ['type', 'position', 'category', 'result'].every(key => !filters[key] || summary[key] === filters[key]);
+    }
+}
+
+HandDatabase.VERSION = 1;
+
+// Export for use in HTML
+window.HandDatabase = HandDatabase;
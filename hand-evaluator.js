@@ -0,0 +1,198 @@
+// Fast Hand Evaluator for Q-Poker
+// Bitmask + lookup-table evaluator: any 5-7 cards map to one comparable integer strength.
+// Higher strength = better hand. Used by showdowns, outs counting and the Monte Carlo engine.
+
+class HandEvaluator {
+    constructor() {
+        HandEvaluator.buildTables();
+        this.counts = new Uint8Array(13); // Scratch space reused across evaluations
+        this.suitMasks = new Uint16Array(4);
+        this.suitCounts = new Uint8Array(4);
+    }
+
+    // Card codes: rank * 4 + suit, rank 0 = '2' ... 12 = 'A'
+    static cardCode(card) {
+        const rank = card.numericValue - 2;
+        return rank * 4 + HandEvaluator.SUITS.indexOf(card.suit);
+    }
+
+    static cardFromCode(code) {
+        const numericValue = (code >> 2) + 2;
+        const suit = HandEvaluator.SUITS[code & 3];
+        const values = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+        return {
+            suit: suit,
+            value: values[numericValue - 2],
+            numericValue: numericValue,
+            color: (suit === '♥' || suit === '♦') ? 'red' : 'black'
+        };
+    }
+
+    // Per 13-bit rank mask: highest straight (as numericValue, 5 for the wheel) and the top five ranks
+    static buildTables() {
+        if (HandEvaluator.straightHigh) return;
+
+        const straightHigh = new Uint8Array(8192);
+        const topFive = new Uint32Array(8192);
+        const highestBit = new Int8Array(8192);
+
+        for (let mask = 1; mask < 8192; mask++) {
+            for (let top = 12; top >= 4; top--) {
+                const run = 0x1F << (top - 4);
+                if ((mask & run) === run) {
+                    straightHigh[mask] = top + 2;
+                    break;
+                }
+            }
+            // Wheel: A-2-3-4-5
+            if (!straightHigh[mask] && (mask & 0x100F) === 0x100F) straightHigh[mask] = 5;
+
+            let packed = 0;
+            let taken = 0;
+            highestBit[mask] = -1;
+            for (let rank = 12; rank >= 0 && taken < 5; rank--) {
+                if (mask & (1 << rank)) {
+                    if (highestBit[mask] === -1) highestBit[mask] = rank;
+                    packed |= (rank + 2) << (16 - taken * 4);
+                    taken++;
+                }
+            }
+            topFive[mask] = packed;
+        }
+
+        HandEvaluator.straightHigh = straightHigh;
+        HandEvaluator.topFive = topFive;
+        HandEvaluator.highestBit = highestBit;
+    }
+
+    // Strength of the best 5-card hand in codes (5-7 cards; fewer cards score as high card / pairs).
+    // Layout: hand rank (1-10) in bits 20+, then up to five 4-bit tie-breakers from the top.
+    evaluate(codes) {
+        const counts = this.counts;
+        const suitMasks = this.suitMasks;
+        const suitCounts = this.suitCounts;
+        counts.fill(0);
+        suitMasks.fill(0);
+        suitCounts.fill(0);
+
+        let rankMask = 0;
+        for (let i = 0; i < codes.length; i++) {
+            const rank = codes[i] >> 2;
+            const suit = codes[i] & 3;
+            counts[rank]++;
+            suitMasks[suit] |= 1 << rank;
+            suitCounts[suit]++;
+            rankMask |= 1 << rank;
+        }
+
+        let flushMask = 0;
+        for (let suit = 0; suit < 4; suit++) {
+            if (suitCounts[suit] >= 5) flushMask = suitMasks[suit];
+        }
+
+        if (flushMask) {
+            const high = HandEvaluator.straightHigh[flushMask];
+            if (high === 14) return (10 << 20) | (14 << 16); // Royal Flush
+            if (high) return (9 << 20) | (high << 16);
+        }
+
+        let quads = 0;
+        let trips = 0;
+        let pairs = 0;
+        for (let rank = 0; rank < 13; rank++) {
+            if (counts[rank] === 4) quads |= 1 << rank;
+            else if (counts[rank] === 3) trips |= 1 << rank;
+            else if (counts[rank] === 2) pairs |= 1 << rank;
+        }
+
+        const highestBit = HandEvaluator.highestBit;
+
+        if (quads) {
+            const quad = highestBit[quads];
+            const kicker = highestBit[rankMask & ~(1 << quad)];
+            return (8 << 20) | ((quad + 2) << 16) | (kicker >= 0 ? (kicker + 2) << 12 : 0);
+        }
+
+        if (trips) {
+            const trip = highestBit[trips];
+            // A second set of trips plays as the pair
+            const pairOptions = (trips & ~(1 << trip)) | pairs;
+            if (pairOptions) {
+                return (7 << 20) | ((trip + 2) << 16) | ((highestBit[pairOptions] + 2) << 12);
+            }
+        }
+
+        if (flushMask) return (6 << 20) | HandEvaluator.topFive[flushMask];
+
+        const straight = HandEvaluator.straightHigh[rankMask];
+        if (straight) return (5 << 20) | (straight << 16);
+
+        if (trips) {
+            const trip = highestBit[trips];
+            const kickers = HandEvaluator.topFive[rankMask & ~(1 << trip)] >> 4 & 0xFF00;
+            return (4 << 20) | ((trip + 2) << 16) | kickers;
+        }
+
+        if (pairs) {
+            const top = highestBit[pairs];
+            const rest = pairs & ~(1 << top);
+            if (rest) {
+                const second = highestBit[rest];
+                const kicker = highestBit[rankMask & ~(1 << top) & ~(1 << second)];
+                return (3 << 20) | ((top + 2) << 16) | ((second + 2) << 12) | (kicker >= 0 ? (kicker + 2) << 8 : 0);
+            }
+            const kickers = HandEvaluator.topFive[rankMask & ~(1 << top)] >> 4 & 0xFFF0;
+            return (2 << 20) | ((top + 2) << 16) | kickers;
+        }
+
+        return (1 << 20) | HandEvaluator.topFive[rankMask];
+    }
+
+    // Omaha: exactly two of the four hole cards with exactly three board cards
+    evaluateOmaha(holeCodes, boardCodes) {
+        let best = 0;
+        const five = [0, 0, 0, 0, 0];
+        for (let a = 0; a < holeCodes.length; a++) {
+            for (let b = a + 1; b < holeCodes.length; b++) {
+                five[0] = holeCodes[a];
+                five[1] = holeCodes[b];
+                for (let c = 0; c < boardCodes.length; c++) {
+                    for (let d = c + 1; d < boardCodes.length; d++) {
+                        for (let e = d + 1; e < boardCodes.length; e++) {
+                            five[2] = boardCodes[c];
+                            five[3] = boardCodes[d];
+                            five[4] = boardCodes[e];
+                            const strength = this.evaluate(five);
+                            if (strength > best) best = strength;
+                        }
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    // Display shape used across the app: {rank, name, tieBreaker} plus the raw strength
+    describe(strength) {
+        const rank = strength >> 20;
+        const tieBreaker = [];
+        for (let shift = 16; shift >= 0; shift -= 4) {
+            const value = (strength >> shift) & 0xF;
+            if (value) tieBreaker.push(value);
+        }
+        return { rank: rank, name: HandEvaluator.RANK_NAMES[rank], tieBreaker: tieBreaker, strength: strength };
+    }
+
+    evaluateCards(cards) {
+        return this.describe(this.evaluate(cards.map(HandEvaluator.cardCode)));
+    }
+}
+
+HandEvaluator.SUITS = ['♠', '♥', '♦', '♣'];
+HandEvaluator.RANK_NAMES = [
+    'No Hand', 'High Card', 'One Pair', 'Two Pair', 'Three of a Kind', 'Straight',
+    'Flush', 'Full House', 'Four of a Kind', 'Straight Flush', 'Royal Flush'
+];
+
+// Export for use in HTML
+window.HandEvaluator = HandEvaluator;
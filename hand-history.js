@@ -0,0 +1,492 @@
+// Hand History for Q-Poker
+// Writes logged hands (PokerGame.currentHandLog / handHistory entries) as PokerStars-style text,
+// the format most trackers and replayers import, and reads that text back into the same log shape.
+
+class HandHistoryExporter {
+    constructor(options = {}) {
+        this.tableName = options.tableName || 'Q-Poker';
+    }
+
+    // Needs the seats, posts and awards logged since hand-history export was added; drills start from
+    // a staged spot rather than a real deal, so they're left out
+    canExport(hand) {
+        return !!(hand && Array.isArray(hand.seats) && Array.isArray(hand.awards) && !hand.isScenario);
+    }
+
+    // Hands are separated by blank lines, as in the site's own history files
+    formatSession(hands) {
+        return hands.filter(hand => this.canExport(hand)).map(hand => this.formatHand(hand)).join('\n\n\n') + '\n';
+    }
+
+    formatHand(hand) {
+        const lines = [];
+        const seats = hand.seats;
+        const nameOf = id => (seats.find(s => s.id === id) || { name: `Seat ${id + 1}` }).name;
+        const money = amount => `$${Math.round(amount * 100) / 100}`; // Imported cash hands carry cents
+        const board = (hand.communityCards || []).map(HandHistoryExporter.cardText);
+        const actions = (hand.actions || []).filter(entry => !entry.rewound);
+
+        // What each player put in, street by street (blinds open the preflop street; antes are dead
+        // money outside it, so they never count towards an uncalled bet)
+        const invested = {};
+        const streetTotals = {};
+        seats.forEach(s => { invested[s.id] = 0; });
+        (hand.posts || []).forEach(post => {
+            if (post.type === 'ante') return;
+            invested[post.playerId] += post.amount;
+            streetTotals[post.playerId] = post.amount;
+        });
+        let stage = 'preflop';
+        actions.forEach(entry => {
+            if (entry.stage !== stage) {
+                stage = entry.stage;
+                Object.keys(streetTotals).forEach(id => { streetTotals[id] = 0; });
+            }
+            if (['call', 'bet', 'raise'].includes(entry.action)) {
+                const previous = streetTotals[entry.playerId] || 0;
+                const total = typeof entry.total === 'number' ? entry.total : previous + entry.amount;
+                invested[entry.playerId] += total - previous;
+                streetTotals[entry.playerId] = total;
+            }
+        });
+
+        // The top contributor gets back whatever nobody matched
+        const ranked = Object.keys(invested).map(Number).sort((a, b) => invested[b] - invested[a]);
+        const uncalled = ranked.length > 1 ? invested[ranked[0]] - invested[ranked[1]] : 0;
+        const awards = hand.awards.map(award => ({ ...award }));
+        if (uncalled > 0) {
+            let remaining = uncalled;
+            [...awards].reverse().forEach(award => {
+                if (award.playerId !== ranked[0] || remaining === 0) return;
+                const taken = Math.min(award.amount, remaining);
+                award.amount -= taken;
+                remaining -= taken;
+            });
+        }
+
+        const potAmounts = [];
+        awards.forEach(award => { potAmounts[award.pot] = (potAmounts[award.pot] || 0) + award.amount; });
+        const pots = potAmounts.map((amount, index) => ({ index, amount: amount || 0 })).filter(pot => pot.amount > 0);
+        const potName = index => {
+            if (pots.length <= 1) return 'pot';
+            const position = pots.findIndex(pot => pot.index === index);
+            return position === 0 ? 'main pot' : `side pot-${position}`;
+        };
+        const totalPot = pots.reduce((sum, pot) => sum + pot.amount, 0);
+
+        // Header (imported hands keep their site hand number and time)
+        const date = new Date(hand.playedAt || hand.id);
+        const pad = n => String(n).padStart(2, '0');
+        const stamp = `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())} ` +
+            `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} UTC`;
+        lines.push(`PokerStars Hand #${hand.handNumber || hand.id}:  ${HandHistoryExporter.gameName(hand)} - ${stamp}`);
+        const button = seats.find(s => s.id === hand.buttonId);
+        lines.push(`Table '${hand.tableName || this.tableName}' ${hand.tableSize || seats.length}-max Seat #${button ? button.seat : 1} is the button`);
+        seats.forEach(s => lines.push(`Seat ${s.seat}: ${s.name} (${money(s.chips)} in chips)`));
+
+        (hand.posts || []).forEach(post => {
+            const what = post.type === 'ante' ? 'the ante' : post.type;
+            lines.push(`${nameOf(post.playerId)}: posts ${what} ${money(post.amount)}`);
+        });
+
+        lines.push('*** HOLE CARDS ***');
+        const hero = seats.find(s => s.isHuman);
+        if (hero && hero.cards.length) {
+            lines.push(`Dealt to ${hero.name} [${hero.cards.map(HandHistoryExporter.cardText).join(' ')}]`);
+        }
+
+        // Actions street by street, opening each street once the board reached it
+        const streets = [
+            { stage: 'preflop', header: null },
+            { stage: 'flop', header: board.length >= 3 ? `*** FLOP *** [${board.slice(0, 3).join(' ')}]` : null },
+            { stage: 'turn', header: board.length >= 4 ? `*** TURN *** [${board.slice(0, 3).join(' ')}] [${board[3]}]` : null },
+            { stage: 'river', header: board.length >= 5 ? `*** RIVER *** [${board.slice(0, 4).join(' ')}] [${board[4]}]` : null }
+        ];
+        // The uncalled bet comes back right after the street it was made on
+        const lastStage = actions.length ? actions[actions.length - 1].stage : 'preflop';
+        streets.forEach(street => {
+            if (street.header) lines.push(street.header);
+            actions.filter(entry => entry.stage === street.stage).forEach(entry => {
+                lines.push(`${nameOf(entry.playerId)}: ${HandHistoryExporter.actionText(entry, money)}`);
+            });
+            if (uncalled > 0 && street.stage === lastStage) {
+                lines.push(`Uncalled bet (${money(uncalled)}) returned to ${nameOf(ranked[0])}`);
+            }
+        });
+
+        const showdown = hand.showdown || [];
+        if (showdown.length > 1) {
+            lines.push('*** SHOW DOWN ***');
+            showdown.forEach(shown => {
+                const cards = shown.cards.map(HandHistoryExporter.cardText).join(' ');
+                lines.push(`${nameOf(shown.playerId)}: shows [${cards}] (${shown.handName.toLowerCase()})`);
+            });
+        }
+        awards.filter(award => award.amount > 0).forEach(award => {
+            lines.push(`${nameOf(award.playerId)} collected ${money(award.amount)} from ${potName(award.pot)}`);
+        });
+        if (showdown.length <= 1) {
+            const winner = awards[0];
+            if (winner) lines.push(`${nameOf(winner.playerId)}: doesn't show hand`);
+        }
+
+        // Summary
+        lines.push('*** SUMMARY ***');
+        const potDetail = pots.length > 1
+            ? ' ' + pots.map((pot, i) => `${i === 0 ? 'Main pot' : `Side pot-${i}`} ${money(pot.amount)}.`).join(' ')
+            : '';
+        lines.push(`Total pot ${money(totalPot)}${potDetail} | Rake $0`);
+        if (board.length) lines.push(`Board [${board.join(' ')}]`);
+
+        const folds = {};
+        actions.forEach(entry => { if (entry.action === 'fold') folds[entry.playerId] = entry.stage; });
+        const streetName = { preflop: 'before Flop', flop: 'on the Flop', turn: 'on the Turn', river: 'on the River' };
+
+        seats.forEach(s => {
+            let roles = '';
+            if (s.id === hand.buttonId) roles += ' (button)';
+            (hand.posts || []).forEach(post => {
+                if (post.playerId === s.id && post.type !== 'ante') roles += ` (${post.type})`;
+            });
+
+            const won = awards.filter(a => a.playerId === s.id).reduce((sum, a) => sum + a.amount, 0);
+            const shown = showdown.length > 1 ? showdown.find(sd => sd.playerId === s.id) : null;
+            let outcome = '';
+            if (folds[s.id] !== undefined) {
+                outcome = ` folded ${streetName[folds[s.id]] || 'before Flop'}`;
+                if (folds[s.id] === 'preflop' && invested[s.id] === 0) outcome += " (didn't bet)";
+            } else if (shown) {
+                const cards = shown.cards.map(HandHistoryExporter.cardText).join(' ');
+                const handName = shown.handName.toLowerCase();
+                outcome = won > 0
+                    ? ` showed [${cards}] and won (${money(won)}) with ${handName}`
+                    : ` showed [${cards}] and lost with ${handName}`;
+            } else if (won > 0) {
+                outcome = ` collected (${money(won)})`;
+            }
+            lines.push(`Seat ${s.seat}: ${s.name}${roles}${outcome}`);
+        });
+
+        return lines.join('\n');
+    }
+
+    // e.g. "Hold'em No Limit ($10/$20 USD)"; fixed-limit stakes are quoted as small bet / big bet
+    static gameName(hand) {
+        const sb = hand.smallBlind || 0;
+        const bb = hand.bigBlind || 0;
+        if (hand.variant === 'omaha') return `Omaha Pot Limit ($${sb}/$${bb} USD)`;
+        if (hand.bettingStructure === 'fixed-limit') return `Hold'em Limit ($${bb}/$${bb * 2} USD)`;
+        if (hand.bettingStructure === 'pot-limit') return `Hold'em Pot Limit ($${sb}/$${bb} USD)`;
+        return `Hold'em No Limit ($${sb}/$${bb} USD)`;
+    }
+
+    static actionText(entry, money) {
+        const allIn = entry.allIn ? ' and is all-in' : '';
+        switch (entry.action) {
+            case 'fold': return 'folds';
+            case 'check': return 'checks';
+            case 'call': return `calls ${money(entry.amount)}${allIn}`;
+            case 'bet': return `bets ${money(entry.amount)}${allIn}`;
+            case 'raise': return `raises ${money(entry.amount)} to ${money(entry.total)}${allIn}`;
+            default: return entry.action;
+        }
+    }
+
+    // '10♥' or {value: '10', suit: '♥'} -> 'Th'
+    static cardText(card) {
+        const text = typeof card === 'string' ? card : card.value + card.suit;
+        const suit = text.slice(-1);
+        const value = text.slice(0, -1);
+        const suits = { '♠': 's', '♥': 'h', '♦': 'd', '♣': 'c' };
+        return (value === '10' ? 'T' : value) + (suits[suit] || suit);
+    }
+}
+
+class HandHistoryParser {
+    constructor() {
+        this.evaluator = new HandEvaluator();
+    }
+
+    // Returns {hands, errors}: hands in the handHistory log shape (marked imported), errors as
+    // {handNumber, message} for hands that couldn't be read. Blocks that aren't PokerStars hands are skipped.
+    parse(text) {
+        const hands = [];
+        const errors = [];
+        const blocks = text.replace(/^\uFEFF/, '').replace(/\r/g, '').split(/\n(?=PokerStars (?:Hand|Game) #)/);
+        blocks.forEach(block => {
+            const lines = block.split('\n').map(line => line.trim()).filter(line => line);
+            if (!lines.length || !/^PokerStars (?:Hand|Game) #/.test(lines[0])) return;
+            try {
+                hands.push(this.parseHand(lines));
+            } catch (err) {
+                const number = lines[0].match(/#(\d+)/);
+                errors.push({ handNumber: number ? number[1] : null, message: err.message });
+            }
+        });
+        return { hands, errors };
+    }
+
+    parseHand(lines) {
+        const header = lines[0];
+        const handNumber = header.match(/#(\d+)/)[1];
+        const game = header.match(/(Hold'em|Omaha)\s+(No Limit|Pot Limit|Limit)/);
+        if (!game) throw new Error('Only Hold\'em and Omaha (high) hands can be imported');
+        const variant = game[1] === 'Omaha' ? 'omaha' : 'holdem';
+        const structures = { 'No Limit': 'no-limit', 'Pot Limit': 'pot-limit', 'Limit': 'fixed-limit' };
+        const stakes = header.match(/\(([^()\/]+)\/([^()\/\s]+)(?:\s+\w+)?\)/);
+        // The first stamp is in the player's chosen time zone; only a UTC one can be placed exactly
+        const date = header.match(/(\d{4})\/(\d{2})\/(\d{2}) (\d{1,2}):(\d{2}):(\d{2})( UTC)?/);
+        let time = Date.now();
+        if (date) {
+            const parts = [+date[1], +date[2] - 1, +date[3], +date[4], +date[5], +date[6]];
+            time = date[7] ? Date.UTC(...parts) : new Date(...parts).getTime();
+        }
+
+        const table = lines[1] && lines[1].match(/^Table '(.*)' (\d+)-max .*Seat #(\d+) is the button/);
+        if (!table) throw new Error('Missing table line');
+
+        const hand = {
+            id: Number(handNumber),
+            handNumber: handNumber,
+            startTime: new Date(time).toLocaleTimeString(),
+            playedAt: time,
+            tableName: table[1],
+            imported: true,
+            variant: variant,
+            bettingStructure: structures[game[2]],
+            holeCards: [],
+            communityCards: [],
+            actions: [],
+            winner: null,
+            pnl: 0,
+            isScenario: false,
+            tableSize: Number(table[2]),
+            buttonId: Number(table[3]) - 1,
+            seats: [],
+            posts: [],
+            showdown: [],
+            awards: [],
+            smallBlind: stakes ? HandHistoryParser.money(stakes[1]) : 0,
+            bigBlind: stakes ? HandHistoryParser.money(stakes[2]) : 0,
+            ante: 0
+        };
+        if (hand.bettingStructure === 'fixed-limit') {
+            // Limit stakes are quoted as small bet / big bet; blinds are half of each
+            hand.bigBlind = hand.smallBlind;
+            hand.smallBlind = hand.bigBlind / 2;
+        }
+
+        const seatByName = {};
+        let stage = 'setup';
+        let pot = 0;
+        let streetTotals = {};
+        const invested = {};
+        const collected = {};
+        const returned = [];
+        const add = (id, amount) => {
+            invested[id] = HandHistoryParser.round(invested[id] + amount);
+            pot = HandHistoryParser.round(pot + amount);
+        };
+        const award = (id, amount, potIndex) => {
+            hand.awards.push({ playerId: id, amount: amount, pot: potIndex });
+            collected[id] = HandHistoryParser.round((collected[id] || 0) + amount);
+        };
+
+        // Longest names first so "Bob" never claims "Bob Jr: folds"
+        const speaker = (line) => {
+            const names = Object.keys(seatByName).sort((a, b) => b.length - a.length);
+            const name = names.find(n => line.startsWith(n + ': '));
+            return name ? { seat: seatByName[name], rest: line.slice(name.length + 2) } : null;
+        };
+
+        for (let i = 2; i < lines.length; i++) {
+            const line = lines[i];
+
+            const seatLine = stage === 'setup' && line.match(/^Seat (\d+): (.+) \(\$?([\d.,]+) in chips.*\)/);
+            if (seatLine && /is sitting out$/.test(line)) continue; // Not dealt in
+            if (seatLine) {
+                const seat = {
+                    id: Number(seatLine[1]) - 1,
+                    seat: Number(seatLine[1]),
+                    name: seatLine[2],
+                    chips: HandHistoryParser.money(seatLine[3]),
+                    isHuman: false,
+                    cards: []
+                };
+                hand.seats.push(seat);
+                seatByName[seat.name] = seat;
+                invested[seat.id] = 0;
+                continue;
+            }
+
+            const street = line.match(/^\*\*\* (HOLE CARDS|FLOP|TURN|RIVER|SHOW DOWN|SUMMARY) \*\*\*(.*)$/);
+            if (street) {
+                if (street[1] === 'SUMMARY') break;
+                const stages = { 'HOLE CARDS': 'preflop', 'FLOP': 'flop', 'TURN': 'turn', 'RIVER': 'river', 'SHOW DOWN': 'showdown' };
+                stage = stages[street[1]];
+                if (stage !== 'preflop' && stage !== 'showdown') {
+                    streetTotals = {};
+                    const cards = street[2].match(/\[([^\]]+)\]\s*$/);
+                    if (cards) {
+                        cards[1].split(/\s+/).forEach(card => hand.communityCards.push(HandHistoryParser.parseCard(card)));
+                    }
+                }
+                continue;
+            }
+
+            const dealt = line.match(/^Dealt to (.+?) \[([^\]]+)\]/);
+            if (dealt && seatByName[dealt[1]]) {
+                const hero = seatByName[dealt[1]];
+                hero.isHuman = true;
+                hero.cards = dealt[2].split(/\s+/).map(HandHistoryParser.cardString);
+                hand.holeCards = hero.cards.slice();
+                continue;
+            }
+
+            const uncalled = line.match(/^Uncalled bet \(\$?([\d.,]+)\) returned to (.+)$/);
+            if (uncalled && seatByName[uncalled[2]]) {
+                returned.push({ playerId: seatByName[uncalled[2]].id, amount: HandHistoryParser.money(uncalled[1]) });
+                continue;
+            }
+
+            const won = line.match(/^(.+) collected \$?([\d.,]+) from (?:the )?(main pot|side pot(?:-(\d+))?|pot)/);
+            if (won && seatByName[won[1]]) {
+                const potIndex = won[3].startsWith('side') ? Number(won[4] || 1) : 0;
+                award(seatByName[won[1]].id, HandHistoryParser.money(won[2]), potIndex);
+                continue;
+            }
+
+            const said = speaker(line);
+            if (!said) continue;
+            const { seat, rest } = said;
+            const amountOf = text => HandHistoryParser.money(text);
+
+            const post = rest.match(/^posts (small blind|big blind|the ante|small & big blinds) \$?([\d.,]+)/);
+            if (post) {
+                const amount = amountOf(post[2]);
+                const type = post[1] === 'the ante' ? 'ante' : (post[1] === 'small blind' ? 'small blind' : 'big blind');
+                hand.posts.push({ playerId: seat.id, type: type, amount: amount });
+                add(seat.id, amount);
+                if (type === 'ante') hand.ante = amount;
+                else streetTotals[seat.id] = (streetTotals[seat.id] || 0) + amount;
+                continue;
+            }
+
+            const shows = rest.match(/^shows \[([^\]]+)\](?: \((.+)\))?/);
+            if (shows) {
+                seat.cards = shows[1].split(/\s+/).map(HandHistoryParser.cardString);
+                hand.showdown.push({ playerId: seat.id, cards: seat.cards.slice(), handName: this.handName(seat.cards, hand, shows[2]) });
+                continue;
+            }
+
+            const move = rest.match(/^(folds|checks|calls|bets|raises)(?: \$?([\d.,]+))?(?: to \$?([\d.,]+))?( and is all-in)?/);
+            if (!move || stage === 'setup' || stage === 'showdown') continue;
+            const action = { folds: 'fold', checks: 'check', calls: 'call', bets: 'bet', raises: 'raise' }[move[1]];
+            const previous = streetTotals[seat.id] || 0;
+            let amount = move[2] ? amountOf(move[2]) : 0;
+            let total = previous;
+            if (action === 'call' || action === 'bet') total = HandHistoryParser.round(previous + amount);
+            if (action === 'raise') total = amountOf(move[3]);
+            if (total > previous) add(seat.id, HandHistoryParser.round(total - previous));
+            streetTotals[seat.id] = total;
+            if (action === 'fold') total = 0; // A fold clears the player's bet, as in the live log
+
+            hand.actions.push({
+                stage: stage,
+                playerId: seat.id,
+                actor: seat.name,
+                isHuman: seat.isHuman,
+                action: action,
+                amount: amount,
+                total: total,
+                allIn: !!move[4],
+                potSize: pot
+            });
+        }
+
+        if (!hand.seats.length) throw new Error('No seats found');
+        if (!hand.awards.length) throw new Error('Hand has no winner (incomplete history?)');
+
+        // The log counts a returned bet as won back, on the player's last award (as the exporter reads it)
+        returned.forEach(back => {
+            const own = hand.awards.filter(a => a.playerId === back.playerId).pop();
+            if (own) own.amount = HandHistoryParser.round(own.amount + back.amount);
+            else hand.awards.push({ playerId: back.playerId, amount: back.amount, pot: 0 });
+            collected[back.playerId] = HandHistoryParser.round((collected[back.playerId] || 0) + back.amount);
+        });
+
+        // Hero's flag is only known once "Dealt to" is read, after the seats
+        hand.actions.forEach(entry => { entry.isHuman = hand.seats.some(s => s.id === entry.playerId && s.isHuman); });
+        hand.pot = HandHistoryParser.round(hand.awards.reduce((sum, a) => sum + a.amount, 0));
+
+        const winners = [...new Set(hand.awards.map(a => a.playerId))];
+        hand.winner = winners.map(id => hand.seats.find(s => s.id === id).name).join(', ');
+        hand.netByPlayer = {};
+        hand.seats.forEach(s => {
+            hand.netByPlayer[s.id] = HandHistoryParser.round((collected[s.id] || 0) - invested[s.id]);
+        });
+        const hero = hand.seats.find(s => s.isHuman);
+        if (hero) hand.pnl = hand.netByPlayer[hero.id];
+
+        // Who contested each pot isn't in the text, only who took it
+        hand.pots = [];
+        hand.awards.forEach(a => {
+            const pot = hand.pots[a.pot] || (hand.pots[a.pot] = { amount: 0, eligible: null, winners: [], handName: null });
+            pot.amount = HandHistoryParser.round(pot.amount + a.amount);
+            if (!pot.winners.includes(a.playerId)) pot.winners.push(a.playerId);
+            const shown = hand.showdown.find(sd => sd.playerId === a.playerId);
+            if (shown && hand.showdown.length > 1) pot.handName = shown.handName;
+        });
+        hand.pots = hand.pots.filter(Boolean);
+        return hand;
+    }
+
+    // Hold'em showdowns are named by the evaluator like the app's own hands; Omaha keeps the site's wording
+    handName(cards, hand, description) {
+        if (hand.variant === 'holdem' && hand.communityCards.length === 5) {
+            const all = [...cards.map(HandHistoryParser.cardObject), ...hand.communityCards];
+            return this.evaluator.evaluateCards(all).name;
+        }
+        return description ? description.charAt(0).toUpperCase() + description.slice(1) : 'Unknown';
+    }
+
+    // "$1,234.50" -> 1234.5
+    static money(text) {
+        return Number(String(text).replace(/[^\d.]/g, ''));
+    }
+
+    static round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    // 'Th' -> '10♥', the log's card strings
+    static cardString(text) {
+        const suits = { s: '♠', h: '♥', d: '♦', c: '♣' };
+        const value = text[0].toUpperCase() === 'T' ? '10' : text[0].toUpperCase();
+        const suit = suits[text[1].toLowerCase()];
+        if (!suit || (value !== '10' && !'23456789JQKA'.includes(value))) throw new Error(`Unreadable card ${text}`);
+        return value + suit;
+    }
+
+    // '10♥' or 'Th' -> {value, suit, numericValue, color}
+    static cardObject(card) {
+        const text = /[♠♥♦♣]$/.test(card) ? card : HandHistoryParser.cardString(card);
+        const suit = text.slice(-1);
+        const value = text.slice(0, -1);
+        const values = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+        return {
+            suit: suit,
+            value: value,
+            numericValue: values.indexOf(value) + 2,
+            color: (suit === '♥' || suit === '♦') ? 'red' : 'black'
+        };
+    }
+
+    static parseCard(text) {
+        return HandHistoryParser.cardObject(HandHistoryParser.cardString(text));
+    }
+}
+
+// Export for use in HTML
+window.HandHistoryExporter = HandHistoryExporter;
+window.HandHistoryParser = HandHistoryParser;
@@ -0,0 +1,187 @@
+// Hand Replayer for Q-Poker
+// Rebuilds the table from a logged hand (handHistory or importedHands entry) one step at a time:
+// blinds, every action, each new street and the result, with stacks, bets, pot and board at each step.
+
+class HandReplayer {
+    constructor(hand) {
+        this.hand = hand;
+        this.frames = HandReplayer.buildFrames(hand);
+        this.index = 0;
+    }
+
+    // Needs the seats logged since hand-history export was added, or a drill's staged table
+    static canReplay(hand) {
+        return !!(hand && (hand.stagedStart || Array.isArray(hand.seats)));
+    }
+
+    get frame() {
+        return this.frames[this.index];
+    }
+
+    get atStart() {
+        return this.index === 0;
+    }
+
+    get atEnd() {
+        return this.index === this.frames.length - 1;
+    }
+
+    // Move by `delta` steps, stopping at either end. Returns the new frame.
+    step(delta) {
+        return this.seek(this.index + delta);
+    }
+
+    seek(index) {
+        this.index = Math.max(0, Math.min(this.frames.length - 1, index));
+        return this.frame;
+    }
+
+    // Frame: {stage, description, pot, board, actingId, shownIds, players: [{id, seat, name, isHuman, chips,
+    // bet, folded, allIn, cards, lastAction, won}]}; shownIds lists who tabled their cards at showdown
+    static buildFrames(hand) {
+        // A drill's staged board is only copied into the log once someone acts
+        const logged = hand.communityCards || [];
+        const staged = hand.stagedStart ? hand.stagedStart.communityCards : [];
+        const board = (staged.length > logged.length ? staged : logged).map(HandReplayer.toCard);
+        const boardSize = { preflop: 0, flop: 3, turn: 4, river: 5 };
+        const frames = [];
+        let stage;
+        let pot;
+        let players;
+
+        if (hand.stagedStart) {
+            // Drills start mid-hand from the spot they set up
+            const start = hand.stagedStart;
+            stage = start.stage;
+            pot = start.pot;
+            players = start.players.map(p => ({
+                id: p.id,
+                seat: p.id + 1,
+                name: p.name,
+                isHuman: p.isHuman,
+                chips: p.chips,
+                bet: p.currentBet,
+                folded: p.folded,
+                allIn: false,
+                cards: p.cards.map(HandReplayer.toCard),
+                lastAction: null,
+                won: 0
+            }));
+        } else {
+            stage = 'preflop';
+            pot = 0;
+            players = hand.seats.map(s => ({
+                id: s.id,
+                seat: s.seat,
+                name: s.name,
+                isHuman: s.isHuman,
+                chips: s.chips,
+                bet: 0,
+                folded: false,
+                allIn: false,
+                cards: (s.cards || []).map(HandReplayer.toCard),
+                lastAction: null,
+                won: 0
+            }));
+        }
+
+        const byId = {};
+        players.forEach(p => { byId[p.id] = p; });
+        const push = (description, actingId = null) => {
+            frames.push({
+                stage: stage,
+                description: description,
+                pot: pot,
+                board: board.slice(0, boardSize[stage] || 0),
+                actingId: actingId,
+                shownIds: [],
+                players: players.map(p => ({ ...p, cards: p.cards.slice() }))
+            });
+        };
+        const money = amount => `$${Math.round(amount * 100) / 100}`;
+        const cents = amount => Math.round(amount * 100) / 100; // Imported cash hands carry cents
+
+        if (hand.stagedStart) {
+            push(`Drill: ${hand.scenarioType || 'staged spot'}`);
+        } else {
+            push('Cards dealt');
+            const posts = hand.posts || [];
+            posts.forEach(post => {
+                const player = byId[post.playerId];
+                if (!player) return;
+                player.chips = cents(player.chips - post.amount);
+                pot = cents(pot + post.amount);
+                if (post.type !== 'ante') player.bet = cents(player.bet + post.amount);
+            });
+            if (posts.length) push('Blinds posted');
+        }
+
+        const newStreet = (next) => {
+            stage = next;
+            players.forEach(p => {
+                p.bet = 0;
+                if (!p.folded) p.lastAction = null;
+            });
+            const cards = board.slice(0, boardSize[stage]).map(c => c.value + c.suit).join(' ');
+            push(`${stage.charAt(0).toUpperCase() + stage.slice(1)}: ${cards}`);
+        };
+
+        (hand.actions || []).filter(entry => !entry.rewound).forEach(entry => {
+            const player = byId[entry.playerId];
+            if (!player || boardSize[entry.stage] === undefined) return;
+            if (entry.stage !== stage) newStreet(entry.stage);
+
+            if (['call', 'bet', 'raise'].includes(entry.action)) {
+                const total = typeof entry.total === 'number' ? entry.total : player.bet + entry.amount;
+                const added = cents(total - player.bet);
+                player.chips = cents(player.chips - added);
+                player.bet = total;
+                pot = typeof entry.potSize === 'number' ? entry.potSize : cents(pot + added);
+            }
+            if (entry.action === 'fold') player.folded = true;
+            if (entry.allIn) player.allIn = true;
+            player.lastAction = entry.action;
+
+            let description = `${player.name} ${entry.action}s`;
+            if (entry.action === 'call' || entry.action === 'bet') description += ` ${money(entry.amount)}`;
+            if (entry.action === 'raise') description += ` to ${money(player.bet)}`;
+            if (entry.allIn) description += ' (all-in)';
+            push(description, player.id);
+        });
+
+        // Streets run out with no betting, e.g. after an all-in
+        ['flop', 'turn', 'river'].forEach(next => {
+            if (boardSize[next] > boardSize[stage] && board.length >= boardSize[next]) newStreet(next);
+        });
+
+        if (hand.awards && hand.awards.length) {
+            stage = 'showdown';
+            players.forEach(p => { p.bet = 0; });
+            (hand.showdown || []).forEach(shown => {
+                const player = byId[shown.playerId];
+                if (player) player.lastAction = shown.handName;
+            });
+            hand.awards.forEach(award => {
+                const player = byId[award.playerId];
+                if (!player) return;
+                player.chips = cents(player.chips + award.amount);
+                player.won = cents(player.won + award.amount);
+            });
+            pot = 0;
+            const winners = players.filter(p => p.won > 0).map(p => `${p.name} wins ${money(p.won)}`);
+            push(winners.join(', '));
+            const result = frames[frames.length - 1];
+            result.board = board.slice();
+            result.shownIds = (hand.showdown || []).map(shown => shown.playerId);
+        }
+        return frames;
+    }
+
+    // Logs keep hole cards as '10♥' strings and the board as card objects
+    static toCard(card) {
+        return typeof card === 'string' ? HandHistoryParser.cardObject(card) : card;
+    }
+}
+
+// Export for use in HTML
+window.HandReplayer = HandReplayer;
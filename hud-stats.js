@@ -0,0 +1,207 @@
+// HUD Statistics for Q-Poker
+// Tallies tracker-style stats for one player from logged hands: each stat counts its opportunities
+// and how often the player took the action, so every percentage comes with its sample size.
+// Tallies are plain objects ({stat: {opportunities, actions}}, with steals kept per position) so they
+// can live in saves as-is.
+
+class HudStats {
+    // Add one logged hand (rewound actions ignored) to `counts` for `playerId`
+    static record(counts, hand, playerId) {
+        HudStats.analyze(hand, playerId).forEach(({ stat, position, took }) => {
+            const bucket = position ? (counts[stat] = counts[stat] || {}) : counts;
+            const key = position || stat;
+            const tally = bucket[key] = bucket[key] || { opportunities: 0, actions: 0 };
+            tally.opportunities++;
+            if (took) tally.actions++;
+        });
+        return counts;
+    }
+
+    // {opportunities, actions, percent} for a stat (percent null without a sample)
+    static get(counts, stat, position = null) {
+        const entry = position ? (counts[stat] || {})[position] : counts[stat];
+        const tally = entry || { opportunities: 0, actions: 0 };
+        return {
+            opportunities: tally.opportunities,
+            actions: tally.actions,
+            percent: tally.opportunities > 0 ? (tally.actions / tally.opportunities) * 100 : null
+        };
+    }
+
+    // Every spot in the hand where `playerId` had the chance at a stat: [{stat, position, took}]
+    static analyze(hand, playerId) {
+        const events = [];
+        const note = (stat, took, position = null) => events.push({ stat, position, took });
+        const actions = (hand.actions || []).filter(entry => !entry.rewound);
+        const positionOf = id => PokerGame.loggedPositionLabel(hand, id);
+        const position = positionOf(playerId);
+        const isAggressive = entry => entry.action === 'bet' || entry.action === 'raise';
+
+        // Preflop: raises counts the bets so far (blinds aside), so 1 is an open and 2 a 3-bet
+        const preflop = actions.filter(entry => entry.stage === 'preflop');
+        let raises = 0;
+        let limped = false;
+        let stealer = null;
+        let aggressor = null;
+        let myRaiseLevel = 0;
+        let acted = false;
+        const seen = {};
+        preflop.forEach(entry => {
+            if (entry.playerId === playerId) {
+                if (!acted && raises === 0 && !limped && HudStats.STEAL_SEATS.includes(position)) {
+                    note('steal', isAggressive(entry), position);
+                }
+                if (!acted && stealer !== null && raises === 1 && HudStats.BLIND_SEATS.includes(position)) {
+                    note('foldToSteal', entry.action === 'fold', position);
+                }
+                if (!seen.threeBet && raises === 1) {
+                    note('threeBet', isAggressive(entry));
+                    seen.threeBet = true;
+                }
+                if (!seen.foldToThreeBet && myRaiseLevel === 1 && raises === 2) {
+                    note('foldToThreeBet', entry.action === 'fold');
+                    seen.foldToThreeBet = true;
+                }
+                if (!seen.foldToRaise && raises > 0 && aggressor !== playerId) {
+                    note('foldToRaise', entry.action === 'fold');
+                    seen.foldToRaise = true;
+                }
+                acted = true;
+            }
+            if (isAggressive(entry)) {
+                // Opening from the cutoff, button or small blind when everyone before folded
+                if (raises === 0 && !limped && HudStats.STEAL_SEATS.includes(positionOf(entry.playerId))) {
+                    stealer = entry.playerId;
+                }
+                raises++;
+                aggressor = entry.playerId;
+                if (entry.playerId === playerId) myRaiseLevel = raises;
+            } else if (entry.action === 'call' && raises === 0) {
+                limped = true;
+            }
+        });
+
+        // Every hand dealt in (drills log no seats)
+        if ((hand.seats || []).some(s => s.id === playerId)) {
+            const mine = preflop.filter(entry => entry.playerId === playerId);
+            note('vpip', mine.some(entry => entry.action === 'call' || isAggressive(entry)));
+            note('pfr', mine.some(isAggressive));
+        }
+
+        // Postflop: the preflop aggressor may c-bet the flop, and keeps the option on later streets
+        // only while they go on betting first
+        let cbettor = aggressor;
+        ['flop', 'turn', 'river'].forEach(street => {
+            const name = street.charAt(0).toUpperCase() + street.slice(1);
+            let bets = 0;
+            let cbet = false;
+            let checked = false;
+            let nextCbettor = null;
+            let lastBettor = null;
+            const seenStreet = {};
+            actions.filter(entry => entry.stage === street).forEach(entry => {
+                if (entry.playerId === playerId) {
+                    if (!seenStreet.cbet && cbettor === playerId && bets === 0) {
+                        note('cbet' + name, isAggressive(entry));
+                        seenStreet.cbet = true;
+                    }
+                    if (!seenStreet.foldToCbet && cbet && bets === 1) {
+                        note('foldToCbet' + name, entry.action === 'fold');
+                        seenStreet.foldToCbet = true;
+                    }
+                    if (!seenStreet.checkRaise && checked && bets > 0) {
+                        note('checkRaise', entry.action === 'raise');
+                        seenStreet.checkRaise = true;
+                    }
+                    if (!seenStreet.foldToRaise && bets > 1 && lastBettor !== playerId) {
+                        note('foldToRaise', entry.action === 'fold');
+                        seenStreet.foldToRaise = true;
+                    }
+                    // Aggression factor: bets and raises against calls
+                    if (entry.action === 'call' || isAggressive(entry)) note('aggression', isAggressive(entry));
+                    if (entry.action === 'check') checked = true;
+                }
+                if (isAggressive(entry)) {
+                    if (bets === 0 && entry.playerId === cbettor) {
+                        cbet = true;
+                        nextCbettor = cbettor;
+                    }
+                    bets++;
+                    lastBettor = entry.playerId;
+                }
+            });
+            cbettor = nextCbettor;
+        });
+
+        // Showdown: saw the flop (all-ins included), then got there and won a contested pot
+        const showdown = hand.showdown || [];
+        const wentToShowdown = showdown.length > 1 && showdown.some(sd => sd.playerId === playerId);
+        const foldedPreflop = preflop.some(entry => entry.playerId === playerId && entry.action === 'fold');
+        const sawFlop = wentToShowdown || (!foldedPreflop && actions.some(entry => entry.stage !== 'preflop'));
+        if (sawFlop) note('wtsd', wentToShowdown);
+        if (wentToShowdown) {
+            const wonPot = (hand.pots || []).some(pot =>
+                (pot.winners || []).includes(playerId) && (!pot.eligible || pot.eligible.length > 1));
+            note('wsd', wonPot);
+        }
+        return events;
+    }
+
+    // Postflop (bets + raises) / calls; null before any, Infinity when never calling
+    static aggressionFactor(counts) {
+        const { opportunities, actions } = HudStats.get(counts, 'aggression');
+        if (opportunities === 0) return null;
+        const calls = opportunities - actions;
+        return calls > 0 ? actions / calls : Infinity;
+    }
+
+    // Style read from VPIP, PFR and aggression alone, as a player at the table would make it:
+    // one of the ARCHETYPE_READS keys, or null until there are enough hands
+    static inferArchetype(counts) {
+        const vpip = HudStats.get(counts, 'vpip');
+        if (vpip.opportunities < HudStats.MIN_READ_HANDS) return null;
+        const pfr = HudStats.get(counts, 'pfr').percent;
+        const af = HudStats.aggressionFactor(counts);
+        const aggressive = (vpip.percent > 0 && pfr / vpip.percent >= 0.5) || (af !== null && af >= 2);
+
+        if (vpip.percent >= 45 && pfr >= 30 && (af === null || af >= 3)) return 'maniac';
+        if (vpip.percent >= 28) return aggressive ? 'lag' : 'station';
+        return aggressive ? 'tag' : 'rock';
+    }
+}
+
+HudStats.STEAL_SEATS = ['CO', 'BTN', 'SB'];
+HudStats.BLIND_SEATS = ['SB', 'BB'];
+
+// Display order with healthy ranges (percent) for a solid regular; `positions` splits a stat by seat,
+// each with its own range
+HudStats.STATS = [
+    { key: 'threeBet', label: '3-Bet', desc: 'Re-raise facing an open', low: 6, high: 10 },
+    { key: 'foldToThreeBet', label: 'Fold to 3-Bet', desc: 'Fold after opening and facing a re-raise', low: 40, high: 60 },
+    { key: 'cbetFlop', label: 'C-Bet Flop', desc: 'Bet the flop as preflop raiser', low: 55, high: 75 },
+    { key: 'cbetTurn', label: 'C-Bet Turn', desc: 'Bet the turn again after a flop c-bet', low: 40, high: 60 },
+    { key: 'cbetRiver', label: 'C-Bet River', desc: 'Bet the river again after a turn c-bet', low: 35, high: 55 },
+    { key: 'foldToCbetFlop', label: 'Fold to Flop C-Bet', desc: 'Fold facing a flop c-bet', low: 35, high: 55 },
+    { key: 'foldToCbetTurn', label: 'Fold to Turn C-Bet', desc: 'Fold facing a second barrel', low: 35, high: 55 },
+    { key: 'foldToCbetRiver', label: 'Fold to River C-Bet', desc: 'Fold facing a third barrel', low: 35, high: 55 },
+    { key: 'checkRaise', label: 'Check-Raise', desc: 'Raise after checking and facing a bet', low: 6, high: 15 },
+    { key: 'wtsd', label: 'WTSD', desc: 'Went to showdown after seeing the flop', low: 24, high: 32 },
+    { key: 'wsd', label: 'W$SD', desc: 'Won money at showdown', low: 48, high: 58 },
+    { key: 'steal', label: 'Steal', desc: 'Open when folded to', positions: { CO: [25, 40], BTN: [35, 55], SB: [30, 50] } },
+    { key: 'foldToSteal', label: 'Fold to Steal', desc: 'Fold facing a late-position open', positions: { SB: [65, 85], BB: [35, 55] } }
+];
+
+HudStats.MIN_SAMPLE = 10; // Opportunities before a stat is judged
+HudStats.MIN_READ_HANDS = 15;
+
+// What each read looks like, and which hidden AI archetypes play that way
+HudStats.ARCHETYPE_READS = {
+    rock: { label: 'Rock / Nit', archetypes: ['rock', 'nit'] },
+    tag: { label: 'TAG', archetypes: ['tag', 'shark'] },
+    lag: { label: 'LAG', archetypes: ['lag', 'gambler'] },
+    maniac: { label: 'Maniac', archetypes: ['maniac'] },
+    station: { label: 'Calling Station', archetypes: ['station'] }
+};
+
+// Export for use in HTML
+window.HudStats = HudStats;
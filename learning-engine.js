@@ -5,6 +5,13 @@ class LearningEngine {
     constructor(game) {
         this.game = game;
         this.handRanges = this.initializeHandRanges();
+        this.rng = new SeededRandom(); // Fallback stream when not attached to a game
+        this.equityCalculator = new EquityCalculator(game && game.handEvaluator ? game.handEvaluator : new HandEvaluator());
+    }
+
+    // Simulations draw from the game's seeded stream so a hand's analysis is reproducible
+    getRandom() {
+        return (this.game && this.game.simRng) || this.rng;
     }
 
     // Initialize standard poker hand ranges
@@ -18,10 +25,22 @@ class LearningEngine {
         };
     }
 
-    // Get the category string for a 2-card hand
+    // Get the category string for a 2-card hand (Omaha hands use their best two-card holding)
     getHandCategory(hand) {
         if (!hand || hand.length < 2) return 'junk';
 
+        if (hand.length > 2) {
+            const order = [...Object.keys(this.handRanges), 'junk'];
+            let best = 'junk';
+            for (let i = 0; i < hand.length; i++) {
+                for (let j = i + 1; j < hand.length; j++) {
+                    const category = this.getHandCategory([hand[i], hand[j]]);
+                    if (order.indexOf(category) < order.indexOf(best)) best = category;
+                }
+            }
+            return best;
+        }
+
         const val1 = hand[0].value;
         const val2 = hand[1].value;
         const v1 = hand[0].numericValue;
@@ -53,67 +72,43 @@ class LearningEngine {
         return 'junk';
     }
 
-    // Monte Carlo equity calculator - simulates random runouts
-    calculateEquity(playerHand, communityCards, numOpponents = 1, iterations = 1000) {
-        let wins = 0;
-        let ties = 0;
-
-        for (let i = 0; i < iterations; i++) {
-            // Create a deck without known cards
-            const usedCards = [...playerHand, ...communityCards];
-            const availableDeck = this.createDeckExcluding(usedCards);
-
-            // Deal remaining community cards if needed
-            const fullBoard = [...communityCards];
-            const cardsNeeded = 5 - communityCards.length;
-            for (let j = 0; j < cardsNeeded; j++) {
-                const randomIndex = Math.floor(Math.random() * availableDeck.length);
-                fullBoard.push(availableDeck.splice(randomIndex, 1)[0]);
-            }
-
-            // Deal opponent hands
-            const opponentHands = [];
-            for (let opp = 0; opp < numOpponents; opp++) {
-                const oppHand = [];
-                for (let c = 0; c < 2; c++) {
-                    const randomIndex = Math.floor(Math.random() * availableDeck.length);
-                    oppHand.push(availableDeck.splice(randomIndex, 1)[0]);
-                }
-                opponentHands.push(oppHand);
-            }
+    // Equity calculator - exact enumeration when the spot is small enough, otherwise `iterations`
+    // Monte Carlo runouts (synchronous; see calculateEquityAsync). ranges: see createEquityJob
+    calculateEquity(playerHand, communityCards, numOpponents = 1, iterations = 1000, rng = this.getRandom(), ranges = null) {
+        const job = this.createEquityJob(playerHand, communityCards, numOpponents, ranges);
+        return this.equityCalculator.calculate(job, iterations, rng);
+    }
 
-            // Evaluate all hands
-            const playerHandValue = this.game.evaluateHand(playerHand, fullBoard);
-            const opponentHandValues = opponentHands.map(hand => this.game.evaluateHand(hand, fullBoard));
-
-            // Determine winner
-            let playerWins = true;
-            let isTie = false;
-
-            for (const oppValue of opponentHandValues) {
-                const comparison = this.compareHands(playerHandValue, oppValue);
-                if (comparison < 0) {
-                    playerWins = false;
-                    break;
-                } else if (comparison === 0) {
-                    isTie = true;
-                }
-            }
+    // Plain-data description of an equity problem, as understood by EquityCalculator and the worker.
+    // ranges: one RangeCalculator.getCombos() result (or null for a random hand) per opponent
+    createEquityJob(playerHand, communityCards, numOpponents = 1, ranges = null) {
+        return {
+            holeCodes: playerHand.map(HandEvaluator.cardCode),
+            boardCodes: communityCards.map(HandEvaluator.cardCode),
+            numOpponents: numOpponents,
+            omaha: this.game.handVariant === 'omaha' && playerHand.length === 4,
+            ranges: ranges
+        };
+    }
 
-            if (playerWins) {
-                if (isTie) {
-                    ties++;
-                } else {
-                    wins++;
-                }
-            }
+    // Off the main thread through the game's EquityService when there is one.
+    // options: {onProgress, stateKey, seed} as for EquityService.calculate, plus ranges
+    calculateEquityAsync(playerHand, communityCards, numOpponents = 1, iterations = 1000, options = {}) {
+        const service = this.game && this.game.equityService;
+        const ranges = options.ranges || null;
+        if (!service) {
+            const result = this.calculateEquity(playerHand, communityCards, numOpponents, iterations, this.getRandom(), ranges);
+            if (options.onProgress) options.onProgress(result);
+            return Promise.resolve(result);
         }
 
-        return {
-            winRate: wins / iterations,
-            tieRate: ties / iterations,
-            equity: (wins + ties * 0.5) / iterations
-        };
+        const job = this.createEquityJob(playerHand, communityCards, numOpponents, ranges);
+        return service.calculate(job, {
+            iterations: iterations,
+            seed: options.seed === undefined ? this.getRandom().nextUint32() : options.seed,
+            stateKey: options.stateKey,
+            onProgress: options.onProgress
+        });
     }
 
     // Create a deck excluding specific cards
@@ -147,6 +142,11 @@ class LearningEngine {
 
     // Compare two hand values (returns 1 if hand1 wins, -1 if hand2 wins, 0 if tie)
     compareHands(hand1, hand2) {
+        // Evaluator strengths already encode rank and kickers
+        if (hand1.strength !== undefined && hand2.strength !== undefined) {
+            return Math.sign(hand1.strength - hand2.strength);
+        }
+
         if (hand1.rank !== hand2.rank) {
             return hand1.rank > hand2.rank ? 1 : -1;
         }
@@ -198,9 +198,11 @@ class LearningEngine {
     }
 
     // Get optimal action based on GTO principles
-    getOptimalAction(playerHand, communityCards, pot, currentBet, playerCurrentBet, playerChips, position, numOpponents) {
+    // Pass knownEquity (e.g. the worker's estimate for this spot) to skip the simulation; without it the
+    // spot is simulated synchronously, which only hand reviews rely on
+    getOptimalAction(playerHand, communityCards, pot, currentBet, playerCurrentBet, playerChips, position, numOpponents, knownEquity = null) {
         const callAmount = currentBet - playerCurrentBet;
-        const equity = this.calculateEquity(playerHand, communityCards, numOpponents, 500).equity;
+        const equity = knownEquity !== null ? knownEquity : this.calculateEquity(playerHand, communityCards, numOpponents, 500).equity;
         const potOdds = callAmount > 0 ? callAmount / (pot + callAmount) : 0;
 
         // Calculate EV for each action
@@ -543,6 +545,7 @@ class LearningEngine {
     }
 
     // Simulate what happens if we hit a specific out
+    // Resolves with the hand made and its equity if outCard comes (worker-backed)
     simulateOutcome(playerHand, communityCards, outCard) {
         const newBoard = [...communityCards, outCard];
         const newHand = this.game.evaluateHand(playerHand, newBoard);
@@ -550,19 +553,18 @@ class LearningEngine {
         // Calculate equity with the new board
         const remainingCards = 5 - newBoard.length;
         if (remainingCards > 0) {
-            const equity = this.calculateEquity(playerHand, newBoard, 1, 200);
-            return {
+            return this.calculateEquityAsync(playerHand, newBoard, 1, 200).then(equity => ({
                 handName: newHand.name,
                 equity: equity.equity,
                 improved: true
-            };
+            }));
         }
 
-        return {
+        return Promise.resolve({
             handName: newHand.name,
             equity: 1.0, // River card, no more cards to come
             improved: true
-        };
+        });
     }
 }
 
@@ -574,15 +576,47 @@ class RangeCalculator {
     }
 
     reset() {
-        // 13x13 grid.
-        // Index 0='A', 1='K', ... 12='2'
-        // Cell value 0.0 to 1.0 (probability)
-        this.grid = Array(13).fill().map(() => Array(13).fill(1.0));
+        // One weight per two-card combo, 0.0 to 1.0, in the order of RangeCalculator.getComboList().
+        // Suit-specific, so a board card can rule out some combos of a hand class but not others.
+        this.weights = new Array(1326).fill(1.0);
+    }
+
+    // Every combo as {a, b, row, col}: card codes (see HandEvaluator.cardCode) plus its 13x13 grid cell.
+    // Grid index 0='A', 1='K', ... 12='2'; row < col is suited, row > col offsuit.
+    static getComboList() {
+        if (RangeCalculator.comboList) return RangeCalculator.comboList;
+
+        const list = [];
+        for (let r1 = 0; r1 < 13; r1++) {
+            for (let r2 = 0; r2 < 13; r2++) {
+                // Card code ranks run 0 = '2' ... 12 = 'A'
+                const high = 12 - Math.min(r1, r2);
+                const low = 12 - Math.max(r1, r2);
+                for (let s1 = 0; s1 < 4; s1++) {
+                    for (let s2 = 0; s2 < 4; s2++) {
+                        const keep = r1 === r2 ? s1 < s2 : (r1 < r2 ? s1 === s2 : s1 !== s2);
+                        if (keep) list.push({ a: high * 4 + s1, b: low * 4 + s2, row: r1, col: r2 });
+                    }
+                }
+            }
+        }
+        RangeCalculator.comboList = list;
+        return list;
     }
 
-    // Return flat list of {label: "AKs", weight: 0.8, type: "pair"|"suited"|"offsuit"}
-    getRangeGrid() {
+    // Return flat list of {label: "AKs", weight: 0.8, type: "pair"|"suited"|"offsuit"}.
+    // A cell's weight is the average over its combos that the board doesn't block.
+    getRangeGrid(boardCodes = []) {
         const ranks = ['A', 'K', 'Q', 'J', 'T', '9', '8', '7', '6', '5', '4', '3', '2'];
+        const board = new Set(boardCodes);
+        const sums = Array(13).fill().map(() => Array(13).fill(0));
+        const counts = Array(13).fill().map(() => Array(13).fill(0));
+        RangeCalculator.getComboList().forEach((combo, i) => {
+            if (board.has(combo.a) || board.has(combo.b)) return;
+            sums[combo.row][combo.col] += this.weights[i];
+            counts[combo.row][combo.col]++;
+        });
+
         const result = [];
 
         for (let r1 = 0; r1 < 13; r1++) {
@@ -603,7 +637,7 @@ class RangeCalculator {
                     row: r1,
                     col: r2,
                     label: label,
-                    weight: this.grid[r1][r2],
+                    weight: counts[r1][r2] ? sums[r1][r2] / counts[r1][r2] : 0,
                     type: type
                 });
             }
@@ -611,37 +645,229 @@ class RangeCalculator {
         return result;
     }
 
-    applyAction(action, phase) {
-        // Simplified Range Narrowing Logic based on perceived actions
-        // In real solver, this is complex. Here we use heuristics.
+    // Every two-card combo with its weight, as card codes for EquityCalculator:
+    // {combos: [a1, b1, a2, b2, ...], weights: [...]}. Zero-weight combos are left out.
+    getCombos() {
+        const combos = [];
+        const weights = [];
+        RangeCalculator.getComboList().forEach((combo, i) => {
+            if (this.weights[i] <= 0) return;
+            combos.push(combo.a, combo.b);
+            weights.push(this.weights[i]);
+        });
+        return { combos: combos, weights: weights };
+    }
+
+    // Narrow the range after one of this opponent's actions.
+    // context: {profile: {tightness, aggression, bluffFrequency}, position: 'UTG'...'BB', betToPot, board}
+    // (board as card codes). A player keeps the top `width` share of hands for an action; what falls
+    // outside keeps a small residual weight (bluffs for bets, loose calls for calls). Looser players,
+    // later positions and smaller bets mean wider ranges. Preflop ranks hands by Chen score, postflop
+    // by how each combo actually plays on the board (see applyPostflopAction).
+    applyAction(action, phase, context = {}) {
+        if (action === 'fold' || (action === 'check' && phase === 'preflop')) return;
+
+        const profile = context.profile || { tightness: 0.5, aggression: 0.5, bluffFrequency: 0.3 };
+        const board = context.board || [];
+        const aggressive = action === 'raise' || action === 'bet' || action === 'allin';
+
+        // Half pot or less leaves the range as wide as it gets; bigger bets tighten it
+        const betToPot = action === 'allin' ? Math.max(context.betToPot || 0, 2) : (context.betToPot || 0);
+        const sizeFactor = Math.max(0.4, Math.min(1, 1.2 - 0.4 * betToPot));
+
+        if (phase !== 'preflop' && board.length >= 3) {
+            this.applyPostflopAction(action, phase, profile, sizeFactor, board);
+            return;
+        }
+
+        const percentiles = RangeCalculator.getPercentiles();
+        const positionFactor = RangeCalculator.POSITION_WIDTH[context.position] || 1;
+        const strictness = RangeCalculator.STREET_STRICTNESS[phase] || 1;
+
+        const playable = (1 - profile.tightness * 0.85) * positionFactor;
+        const raiseWidth = playable * (0.1 + 0.5 * profile.aggression) * sizeFactor;
+        let width;
+        let residual;
+        if (aggressive) {
+            width = raiseWidth;
+            residual = 0.05 + 0.3 * profile.bluffFrequency;
+        } else if (action === 'call') {
+            width = playable * (1 + (1 - profile.aggression) * 0.5) * sizeFactor;
+            residual = 0.1;
+        } else {
+            width = 1; // Check without a board: nothing drops out, but strong hands usually bet
+            residual = 1;
+        }
+
+        RangeCalculator.getComboList().forEach((combo, i) => {
+            const percentile = percentiles[combo.row][combo.col];
+            let factor = percentile <= width ? 1 : residual;
 
+            // Aggressive players raise or bet their best hands rather than call or check them
+            if (!aggressive && percentile <= raiseWidth * 0.5) {
+                factor *= 1 - profile.aggression * 0.5;
+            }
+
+            this.weights[i] *= 1 - (1 - factor) * strictness;
+        });
+    }
+
+    // Postflop: rank every live combo by its made hand on this board, and credit draws (flop and turn)
+    // as semi-bluffs for bets and as reasons to call. Combos the board blocks drop to zero.
+    applyPostflopAction(action, phase, profile, sizeFactor, board) {
+        const strictness = RangeCalculator.STREET_STRICTNESS[phase] || 1;
+        const aggressive = action === 'raise' || action === 'bet' || action === 'allin';
+        const reads = RangeCalculator.readBoard(board);
+
+        const valueWidth = (0.15 + 0.35 * (1 - profile.tightness)) * (0.4 + 0.8 * profile.aggression) * sizeFactor;
+        const callWidth = (0.35 + 0.45 * (1 - profile.tightness)) * sizeFactor;
+        const bluff = 0.05 + 0.3 * profile.bluffFrequency;
+        const looseCall = 0.1 + 0.2 * (1 - profile.tightness);
+
+        reads.forEach((read, i) => {
+            if (!read) {
+                this.weights[i] = 0;
+                return;
+            }
+
+            let factor;
+            if (aggressive) {
+                if (read.percentile <= valueWidth) factor = 1;
+                else if (read.strongDraw) factor = 0.3 + 0.6 * profile.aggression;
+                else if (read.draw) factor = 0.15 + 0.4 * profile.aggression;
+                else factor = bluff;
+            } else if (action === 'call') {
+                if (read.percentile <= callWidth) factor = 1;
+                else if (read.draw) factor = read.strongDraw ? 0.8 : 0.5;
+                else factor = looseCall;
+            } else {
+                factor = 1; // Check: made hands and draws alike can check
+            }
+
+            // The strongest hands usually bet or raise rather than check or call
+            if (!aggressive && read.percentile <= valueWidth * 0.5) {
+                factor *= 1 - profile.aggression * 0.5;
+            }
+
+            this.weights[i] *= 1 - (1 - factor) * strictness;
+        });
+    }
+
+    // Per combo (getComboList order): null if the board blocks it, else {percentile, draw, strongDraw}.
+    // percentile is the share of live combos with a better made hand (0 = the nuts). Draws only count
+    // before the river and only when the hole cards add to what the board already offers.
+    static readBoard(board) {
+        if (!RangeCalculator.evaluator) RangeCalculator.evaluator = new HandEvaluator();
+        const evaluator = RangeCalculator.evaluator;
+        const list = RangeCalculator.getComboList();
+        const blocked = new Set(board);
+        const drawsPossible = board.length < 5;
+        const cards = [0, 0, ...board];
+
+        // Ranks that would complete a straight for this rank mask (ace also plays low)
+        const straightOuts = (mask) => {
+            if (HandEvaluator.straightHigh[mask]) return 0;
+            let outs = 0;
+            for (let rank = 0; rank < 13; rank++) {
+                if (!(mask & (1 << rank)) && HandEvaluator.straightHigh[mask | (1 << rank)]) outs++;
+            }
+            return outs;
+        };
+        const maskOf = (codes) => codes.reduce((mask, code) => mask | (1 << (code >> 2)), 0);
+        const boardMask = maskOf(board);
+        const boardOuts = drawsPossible ? straightOuts(boardMask) : 0;
+        const boardSuits = [0, 0, 0, 0];
+        board.forEach(code => boardSuits[code & 3]++);
+
+        const strengths = list.map(combo => {
+            if (blocked.has(combo.a) || blocked.has(combo.b)) return -1;
+            cards[0] = combo.a;
+            cards[1] = combo.b;
+            return evaluator.evaluate(cards);
+        });
+        const live = strengths.filter(strength => strength >= 0).sort((x, y) => y - x);
+
+        return list.map((combo, i) => {
+            const strength = strengths[i];
+            if (strength < 0) return null;
+
+            // Live combos that beat this one, plus half the ties
+            let low = 0;
+            let high = live.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (live[mid] > strength) low = mid + 1;
+                else high = mid;
+            }
+            let ties = 0;
+            while (low + ties < live.length && live[low + ties] === strength) ties++;
+            const percentile = (low + ties / 2) / live.length;
+
+            let flushDraw = false;
+            let outs = 0;
+            if (drawsPossible && (strength >> 20) < 5) {
+                const suitA = combo.a & 3;
+                const suitB = combo.b & 3;
+                flushDraw = boardSuits[suitA] + (suitA === suitB ? 2 : 1) === 4 ||
+                    (suitA !== suitB && boardSuits[suitB] + 1 === 4);
+                outs = Math.max(0, straightOuts(boardMask | maskOf([combo.a, combo.b])) - boardOuts);
+            }
+
+            return {
+                percentile: percentile,
+                draw: flushDraw || outs > 0,
+                strongDraw: flushDraw || outs >= 2
+            };
+        });
+    }
+
+    // Chen-formula score for a grid cell (index 0 = 'A'); higher is stronger
+    static preflopScore(r1, r2) {
+        const points = (index) => [10, 8, 7, 6, 5, 4.5, 4, 3.5, 3, 2.5, 2, 1.5, 1][index];
+        const high = Math.min(r1, r2);
+        const low = Math.max(r1, r2);
+        if (r1 === r2) return Math.max(5, points(high) * 2);
+
+        let score = points(high);
+        if (r1 < r2) score += 2; // Suited
+        const gap = low - high - 1;
+        score -= gap < 4 ? [0, 1, 2, 4][gap] : 5;
+        if (gap <= 1 && high > 2) score += 1; // Connected, both below a queen
+        return score;
+    }
+
+    // Share of all 1326 combos at least as strong as each cell (0 = the nuts, 1 = the worst hand)
+    static getPercentiles() {
+        if (RangeCalculator.percentiles) return RangeCalculator.percentiles;
+
+        const cells = [];
         for (let r1 = 0; r1 < 13; r1++) {
             for (let r2 = 0; r2 < 13; r2++) {
-                // Determine hand strength roughly (lower index = stronger)
-                const handStrengthVal = 26 - (r1 + r2); // 26 (AA) to 2 (22) roughly
-
-                if (action === 'raise' || action === 'bet') {
-                    // Aggression: Remove weak hands
-                    // Weak is roughly bottom 50%
-                    if (handStrengthVal < 14) {
-                        this.grid[r1][r2] *= 0.2; // Significantly reduce probability
-                    }
-                } else if (action === 'call') {
-                    // Call: Remove pure bluffs (very weak) and absolute nuts (often would raise)
-                    // Remove 72o type trash
-                    if (handStrengthVal < 8) {
-                        this.grid[r1][r2] *= 0.1;
-                    }
-                    // Damping Top 5% (AA/KK often raise preflop)
-                    if (phase === 'preflop' && r1 === r2 && r1 < 2) { // AA, KK
-                        this.grid[r1][r2] *= 0.5;
-                    }
-                }
+                const combos = r1 === r2 ? 6 : (r1 < r2 ? 4 : 12);
+                cells.push({ r1, r2, combos, score: RangeCalculator.preflopScore(r1, r2) });
             }
         }
+        cells.sort((a, b) => b.score - a.score);
+
+        const percentiles = Array(13).fill().map(() => Array(13).fill(1));
+        let covered = 0;
+        cells.forEach(cell => {
+            percentiles[cell.r1][cell.r2] = (covered + cell.combos / 2) / 1326;
+            covered += cell.combos;
+        });
+        RangeCalculator.percentiles = percentiles;
+        return percentiles;
     }
 }
 
+// How much wider than average a seat plays (blinds defend wide, early seats open tight)
+RangeCalculator.POSITION_WIDTH = {
+    'UTG': 0.7, 'UTG+1': 0.75, 'UTG+2': 0.8, 'LJ': 0.85, 'HJ': 0.9, 'CO': 1.05, 'BTN': 1.25, 'SB': 1.0, 'BB': 1.1
+};
+
+// Share of the computed narrowing applied on each street; later streets are more committal
+RangeCalculator.STREET_STRICTNESS = { preflop: 1, flop: 0.8, turn: 0.9, river: 1 };
+
 
 class PreflopCharts {
     constructor() {
@@ -664,6 +890,23 @@ class PreflopCharts {
         this.hands = new LearningEngine(null).initializeHandRanges();
     }
 
+    // Map a seat label (UTG, LJ, CO, ...) to a chart column. Short-handed tables open wider,
+    // so early seats borrow the next chart over.
+    getChartPosition(positionLabel, activeSeats = 9) {
+        const chartOrder = ['UTG', 'HJ', 'CO', 'BTN/SB/BB'];
+        const byLabel = {
+            'UTG': 'UTG', 'UTG+1': 'UTG', 'UTG+2': 'UTG',
+            'LJ': 'HJ', 'HJ': 'HJ',
+            'CO': 'CO',
+            'BTN': 'BTN/SB/BB', 'SB': 'BTN/SB/BB', 'BB': 'BTN/SB/BB'
+        };
+
+        let index = chartOrder.indexOf(byLabel[positionLabel] || 'UTG');
+        if (activeSeats <= 6) index += 1;
+        if (activeSeats <= 4) index += 1;
+        return chartOrder[Math.min(index, chartOrder.length - 1)];
+    }
+
     getAction(position, handCategory) {
         if (!this.ranges[position]) return 'Fold';
         const freq = this.ranges[position][handCategory] || 0;
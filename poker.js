@@ -12,10 +12,29 @@ class PokerGame {
     this.currentBet = 0;
     this.smallBlind = 10;
     this.bigBlind = 20;
+    this.ante = 0;
+    this.handEvaluator = new HandEvaluator(); // Lookup-table evaluator shared with the learning engine
+    this.blindSchedule = new BlindSchedule(); // Default: fixed 10/20 cash game
+    this.deadMoney = 0; // Big-blind ante posted on behalf of the table
     this.gamePhase = 'waiting'; // waiting, preflop, flop, turn, river, showdown
+    this.gameVariant = 'holdem'; // Selected variant: holdem, omaha (applies from the next hand)
+    this.handVariant = 'holdem'; // Variant of the hand currently in play
+    this.bettingStructure = 'no-limit'; // Selected structure: no-limit, pot-limit, fixed-limit
+    this.handStructure = 'no-limit'; // Structure of the hand currently in play (Omaha is always pot-limit)
+    this.betsThisRound = 0; // Bets + raises this street (fixed-limit cap)
+    this.raiseCap = 4; // Fixed-limit: one bet and three raises per street
     this.bettingRound = 0;
     this.lastBettor = -1;
 
+    // Reproducible randomness: every hand gets its own seed drawn from the session seed
+    this.sessionSeed = null;
+    this.sessionRng = null;
+    this.handSeed = null;
+    this.rng = null;   // Deck shuffling
+    this.aiRng = null; // AI decision rolls (bluffs, aggression)
+    this.simRng = null; // Monte Carlo simulations
+    this.startSession();
+
     // Texas Hold'em rule enforcement
     this.lastRaiseSize = 0; // Track size of last raise for minimum raise rule
     this.sidePots = []; // Array of {amount, eligiblePlayers[]}
@@ -35,6 +54,7 @@ class PokerGame {
       trainingMode: false
     };
     this.handHistory = [];
+    this.importedHands = []; // PokerStars histories loaded this session (not saved)
     this.currentHandLog = null;
     this.mistakeTracker = {
       totalHands: 0,
@@ -46,76 +66,166 @@ class PokerGame {
         poorBluffs: 0
       }
     };
-    this.rangeCalculator = null;
+    this.opponentRanges = {}; // playerId -> RangeCalculator, fresh every hand
     this.userStats = {
       handsDealt: 0,
       vpipCount: 0,
       pfrCount: 0,
       aggressionCount: 0,
-      passiveCount: 0
+      passiveCount: 0,
+      netChips: 0, // Exact results of finished live hands
+      bigBlindsWon: 0,
+      handsWithResult: 0,
+      hud: {} // HudStats tallies from archived live hands
     };
+    this.opponentStats = {}; // AI player name -> HudStats tallies for the session
 
     // Bankroll Management
     this.bankrollManager = new BankrollManager();
 
+    // Custom opponents from the personality editor, and the line-up last played
+    this.profileStore = new AIProfileStore();
+
     // UI Callback for animations
     this.onAction = null;
 
+    // Off-main-thread equity (EquityService, attached by the UI) and its progress callback
+    this.equityService = null;
+    this.handDatabase = null; // HandDatabase for every finished hand, attached by the UI
+    this.equityStateKey = null;
+    this.onEquityUpdate = null;
+    this.rangeVersion = 0; // Bumped whenever an opponent action narrows a range
+
+    // Save / resume (localStorage)
+    this.SAVE_KEY = 'qpoker_saved_game';
+    this.autosaveEnabled = true;
+
+    // Undo / rewind: state captured before each action of the current hand
+    this.actionSnapshots = []; // [{playerId, logLength, state}]
+
+    this.tableSize = 9;
+    this.seatArchetypes = null; // Roster profileId per AI seat (the archetype for built-ins)
+    this.aiDifficulty = 'advanced'; // Table-wide AI level, see getDifficultyLevels()
+    this.seatDifficulties = null; // Per-seat levels for seats 1..n-1 (null entries use aiDifficulty)
+    const lineup = this.profileStore.getLineup();
+    this.configureTable(lineup ? lineup.size : 9, lineup && lineup.seats, lineup && lineup.difficulties);
     this.initializePlayers();
     this.initializeLearningEngine();
   }
 
-  initializePlayers() {
-    // Create 9 players (1 human + 8 AI)
-    // AI personalities: tightness (0-1), aggression (0-1), bluffFrequency (0-1)
-    this.players = [
-      {
-        id: 0, name: 'You', chips: 1000, hand: [], isHuman: true, folded: false,
-        currentBet: 0, hasActed: false, equity: 0, winProbability: 0
-      },
+  // AI opponents for the seats: the built-ins, then custom profiles (knobs in AIProfileStore.KNOBS).
+  // profileId is what line-ups store; custom profiles get the archetype of the closest built-in.
+  getAIRoster() {
+    const builtIns = [
       // 1. The Rock (Nit) - Very tight, passive
-      {
-        id: 1, name: 'Rocky (Rock)', chips: 1000, hand: [], isHuman: false, folded: false, currentBet: 0,
-        tightness: 0.9, aggression: 0.2, bluffFrequency: 0.05, archetype: 'rock'
-      },
+      { name: 'Rocky (Rock)', avatar: '🪨', tightness: 0.9, aggression: 0.2, bluffFrequency: 0.05,
+        betSizing: 0.4, tilt: 0.1, showdown: 0.3, archetype: 'rock' },
       // 2. The Maniac - Very loose, hyper-aggressive
-      {
-        id: 2, name: 'Mad Max (Maniac)', chips: 1000, hand: [], isHuman: false, folded: false, currentBet: 0,
-        tightness: 0.2, aggression: 0.95, bluffFrequency: 0.8, archetype: 'maniac'
-      },
+      { name: 'Mad Max (Maniac)', avatar: '🤪', tightness: 0.2, aggression: 0.95, bluffFrequency: 0.8,
+        betSizing: 0.9, tilt: 0.7, showdown: 0.6, archetype: 'maniac' },
       // 3. Calling Station - Loose, passive, never folds
-      {
-        id: 3, name: 'Steve (Station)', chips: 1000, hand: [], isHuman: false, folded: false, currentBet: 0,
-        tightness: 0.1, aggression: 0.1, bluffFrequency: 0.0, archetype: 'station'
-      },
+      { name: 'Steve (Station)', avatar: '📞', tightness: 0.1, aggression: 0.1, bluffFrequency: 0.0,
+        betSizing: 0.3, tilt: 0.2, showdown: 0.9, archetype: 'station' },
       // 4. TAG (Tight Aggressive) - Standard good player
-      {
-        id: 4, name: 'Pro Phil (TAG)', chips: 1000, hand: [], isHuman: false, folded: false, currentBet: 0,
-        tightness: 0.7, aggression: 0.8, bluffFrequency: 0.3, archetype: 'tag'
-      },
+      { name: 'Pro Phil (TAG)', avatar: '🎯', tightness: 0.7, aggression: 0.8, bluffFrequency: 0.3,
+        betSizing: 0.5, tilt: 0.1, showdown: 0.45, archetype: 'tag' },
       // 5. LAG (Loose Aggressive) - Dangerous but risky
-      {
-        id: 5, name: 'Larry (LAG)', chips: 1000, hand: [], isHuman: false, folded: false, currentBet: 0,
-        tightness: 0.4, aggression: 0.8, bluffFrequency: 0.6, archetype: 'lag'
-      },
+      { name: 'Larry (LAG)', avatar: '🔥', tightness: 0.4, aggression: 0.8, bluffFrequency: 0.6,
+        betSizing: 0.7, tilt: 0.3, showdown: 0.5, archetype: 'lag' },
       // 6. The Nit (Weak Tight) - Folds to any raise
-      {
-        id: 6, name: 'Nitty Nick', chips: 1000, hand: [], isHuman: false, folded: false, currentBet: 0,
-        tightness: 0.85, aggression: 0.1, bluffFrequency: 0.0, archetype: 'nit'
-      },
+      { name: 'Nitty Nick', avatar: '🐢', tightness: 0.85, aggression: 0.1, bluffFrequency: 0.0,
+        betSizing: 0.35, tilt: 0.2, showdown: 0.25, archetype: 'nit' },
       // 7. The Shark - Balanced GTO style
-      {
-        id: 7, name: 'Shark Sam', chips: 1000, hand: [], isHuman: false, folded: false, currentBet: 0,
-        tightness: 0.6, aggression: 0.7, bluffFrequency: 0.4, archetype: 'shark'
-      },
+      { name: 'Shark Sam', avatar: '🦈', tightness: 0.6, aggression: 0.7, bluffFrequency: 0.4,
+        betSizing: 0.55, tilt: 0.05, showdown: 0.5, archetype: 'shark' },
       // 8. The Gambler - Random wild card
+      { name: 'Gary (Gambler)', avatar: '🎲', tightness: 0.5, aggression: 0.9, bluffFrequency: 0.9,
+        betSizing: 0.8, tilt: 0.6, showdown: 0.7, archetype: 'gambler' }
+    ].map(p => ({ ...p, profileId: p.archetype, custom: false }));
+
+    const closest = profile => builtIns.reduce((best, p) => {
+      const distance = ['tightness', 'aggression', 'bluffFrequency']
+        .reduce((sum, knob) => sum + Math.pow(p[knob] - profile[knob], 2), 0);
+      return distance < best.distance ? { archetype: p.archetype, distance: distance } : best;
+    }, { archetype: null, distance: Infinity }).archetype;
+    const custom = this.profileStore.getProfiles().map(({ id, ...profile }) => ({
+      ...profile, profileId: id, archetype: closest(profile), custom: true
+    }));
+    return [...builtIns, ...custom];
+  }
+
+  // Save a custom opponent (new when fields has no id); see AIProfileStore.saveProfile
+  saveCustomProfile(fields) {
+    const takenNames = this.getAIRoster().filter(p => !p.custom).map(p => p.name)
+      .concat(this.players.filter(p => p.isHuman).map(p => p.name));
+    return this.profileStore.saveProfile(fields, takenNames);
+  }
+
+  // Seats already dealt in keep the profile until the table restarts
+  deleteCustomProfile(id) {
+    return this.profileStore.deleteProfile(id);
+  }
+
+  // Choose table size (2-9 seats) and which profiles (roster profileIds) sit in seats 1..n-1. Takes effect
+  // on resetTable(). difficulties: a level (or null for the table-wide one) per seat; seats kept when
+  // omitted. The line-up is remembered for the next session.
+  configureTable(size, profileIds = null, difficulties = null) {
+    this.tableSize = Math.max(2, Math.min(9, parseInt(size) || 9));
+    const roster = this.getAIRoster();
+    const ids = roster.map(p => p.profileId);
+    const builtIns = roster.filter(p => !p.custom).map(p => p.profileId);
+    this.seatArchetypes = Array.from({ length: this.tableSize - 1 }, (_, i) =>
+      (profileIds && ids.includes(profileIds[i])) ? profileIds[i] : builtIns[i % builtIns.length]
+    );
+    const levels = this.getDifficultyLevels();
+    const seatLevels = difficulties || this.seatDifficulties || [];
+    this.seatDifficulties = Array.from({ length: this.tableSize - 1 }, (_, i) =>
+      levels[seatLevels[i]] ? seatLevels[i] : null
+    );
+    this.rememberLineup();
+  }
+
+  rememberLineup() {
+    this.profileStore.saveLineup(this.tableSize, this.seatArchetypes, this.seatDifficulties || []);
+  }
+
+  initializePlayers() {
+    if (!this.tableSize) this.configureTable(9);
+
+    // Seat 0 is always the human; AI seats follow the configured line-up
+    const roster = this.getAIRoster();
+    const seen = {};
+    const aiPlayers = this.seatArchetypes.map((profileId, i) => {
+      const profile = roster.find(p => p.profileId === profileId) || roster[i % roster.length];
+      seen[profile.profileId] = (seen[profile.profileId] || 0) + 1;
+      const count = seen[profile.profileId];
+      const name = count > 1 ? `${profile.name} ${count}` : profile.name;
+      return {
+        ...profile, id: i + 1, name: name, chips: 1000, hand: [], isHuman: false, folded: false, currentBet: 0
+      };
+    });
+
+    this.players = [
       {
-        id: 8, name: 'Gary (Gambler)', chips: 1000, hand: [], isHuman: false, folded: false, currentBet: 0,
-        tightness: 0.5, aggression: 0.9, bluffFrequency: 0.9, archetype: 'gambler'
-      }
+        id: 0, name: 'You', chips: 1000, hand: [], isHuman: true, folded: false,
+        currentBet: 0, hasActed: false, equity: 0, winProbability: 0
+      },
+      ...aiPlayers
     ].map(p => ({ ...p, eliminated: false }));
   }
 
+  // Fresh table: new stacks, button and blind clock
+  resetTable() {
+    this.gameOver = false;
+    this.humanPlayerPlacement = null;
+    this.eliminationOrder = [];
+    this.initializePlayers();
+    this.blindSchedule.reset();
+    this.dealerIndex = 0;
+    this.gamePhase = 'waiting';
+    this.clearSavedGame(); // The old table can't be resumed any more
+  }
+
   createDeck() {
     const suits = ['♠', '♥', '♦', '♣'];
     const values = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
@@ -133,6 +243,105 @@ class PokerGame {
     }
   }
 
+  // Rules for each supported game variant (structure: null = use the selected betting structure)
+  getVariantConfig(variant = this.handVariant) {
+    const variants = {
+      holdem: { name: "Texas Hold'em", holeCards: 2, structure: null },
+      omaha: { name: 'Pot-Limit Omaha', holeCards: 4, structure: 'pot-limit' }
+    };
+    return variants[variant] || variants.holdem;
+  }
+
+  setGameVariant(variant) {
+    this.gameVariant = variant === 'omaha' ? 'omaha' : 'holdem';
+  }
+
+  setBettingStructure(structure) {
+    const structures = ['no-limit', 'pot-limit', 'fixed-limit'];
+    this.bettingStructure = structures.includes(structure) ? structure : 'no-limit';
+  }
+
+  // Switch blind structure; the new schedule starts from level 1 on the next hand
+  setBlindSchedule(preset) {
+    this.blindSchedule = new BlindSchedule({ preset: preset });
+  }
+
+  // Pick up the current blind level before posting
+  applyBlindLevel() {
+    this.blindSchedule.startHand();
+    const level = this.blindSchedule.getCurrentLevel();
+    this.smallBlind = level.smallBlind;
+    this.bigBlind = level.bigBlind;
+    this.ante = level.ante;
+  }
+
+  getHoleCardCount() {
+    return this.getVariantConfig().holeCards;
+  }
+
+  // Betting structure of the hand in play
+  getBettingStructure() {
+    return this.handStructure;
+  }
+
+  isPotLimit() {
+    return this.handStructure === 'pot-limit';
+  }
+
+  isFixedLimit() {
+    return this.handStructure === 'fixed-limit';
+  }
+
+  // Fixed-limit bet size: small bet preflop/flop, big bet (2x) on turn/river
+  getFixedLimitBetSize() {
+    return (this.gamePhase === 'turn' || this.gamePhase === 'river') ? this.bigBlind * 2 : this.bigBlind;
+  }
+
+  // Largest raise (on top of the call) allowed under pot-limit: the pot after calling
+  getPotLimitMaxRaise(playerId) {
+    const callAmount = this.currentBet - this.players[playerId].currentBet;
+    return this.pot + callAmount;
+  }
+
+  // Legal bet/raise sizes for a player under the active betting structure.
+  // Bets are total chips put in; raises are the increment on top of the call.
+  // Min/max are capped by the player's stack (a short stack can only go all-in).
+  getBettingLimits(playerId) {
+    const player = this.players[playerId];
+    const callAmount = Math.max(0, this.currentBet - player.currentBet);
+    const structure = this.getBettingStructure();
+    const chipsAfterCall = Math.max(0, player.chips - callAmount);
+
+    let minBet = this.bigBlind;
+    let maxBet = Infinity;
+    let minRaise = this.lastRaiseSize || this.bigBlind;
+    let maxRaise = Infinity;
+    let capReached = false;
+
+    if (structure === 'pot-limit') {
+      maxBet = this.pot;
+      maxRaise = this.getPotLimitMaxRaise(playerId);
+    } else if (structure === 'fixed-limit') {
+      const size = this.getFixedLimitBetSize();
+      minBet = maxBet = size;
+      minRaise = maxRaise = size;
+      capReached = this.betsThisRound >= this.raiseCap;
+    }
+
+    return {
+      structure: structure,
+      callAmount: callAmount,
+      canBet: this.currentBet === 0 && player.chips > 0,
+      minBet: Math.min(minBet, player.chips),
+      maxBet: Math.min(maxBet, player.chips),
+      canRaise: this.currentBet > 0 && chipsAfterCall > 0 && !capReached,
+      minRaise: Math.min(minRaise, chipsAfterCall),
+      maxRaise: Math.min(maxRaise, chipsAfterCall),
+      betsThisRound: this.betsThisRound,
+      raiseCap: structure === 'fixed-limit' ? this.raiseCap : null
+    };
+  }
+
   getNumericValue(value) {
     const valueMap = {
       '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9,
@@ -141,9 +350,24 @@ class PokerGame {
     return valueMap[value];
   }
 
+  // Start a new seeded session (random seed if none given). Hand seeds are drawn from it in order.
+  startSession(seed = null) {
+    this.sessionSeed = SeededRandom.normalizeSeed(seed === null ? SeededRandom.randomSeed() : seed);
+    this.sessionRng = new SeededRandom(this.sessionSeed);
+    this.seedHand(this.sessionRng.nextUint32());
+  }
+
+  // Reset all random streams for a hand so the deal and AI rolls can be replayed from the seed
+  seedHand(seed) {
+    this.handSeed = SeededRandom.normalizeSeed(seed);
+    this.rng = new SeededRandom(this.handSeed);
+    this.aiRng = this.rng.fork('ai');
+    this.simRng = this.rng.fork('sim');
+  }
+
   shuffleDeck() {
     for (let i = this.deck.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = this.rng.nextInt(i + 1);
       [this.deck[i], this.deck[j]] = [this.deck[j], this.deck[i]];
     }
   }
@@ -177,10 +401,16 @@ class PokerGame {
     }
   }
 
-  startNewHand() {
+  // Pass a seed to replay a specific deal; otherwise the next seed from the session is used.
+  // A drill deals at the current blinds with the blind clock stopped.
+  startNewHand(seed = null, variant = this.gameVariant, drill = false) {
     // 1. ARCHIVE PREVIOUS HAND LOG
-    if (this.currentHandLog) {
-      this.handHistory.push(this.currentHandLog);
+    // (once the human is out no new log starts, so the last one must not be archived twice)
+    const lastArchived = this.handHistory[this.handHistory.length - 1];
+    if (this.currentHandLog && !(lastArchived && lastArchived.id === this.currentHandLog.id)) {
+      this.recordHandResult(this.currentHandLog);
+      this.storeHand(this.currentHandLog);
+      this.handHistory.push(this.currentHandLog); // Recent hands for the save; the database keeps them all
       if (this.handHistory.length > 50) this.handHistory.shift();
       this.userStats.handsDealt++;
 
@@ -196,13 +426,23 @@ class PokerGame {
         // Calculate placement based on players remaining + 1
         this.humanPlayerPlacement = this.players.filter(p => !p.eliminated).length;
       }
+      this.autosave();
       return;
     }
 
-    // 3. INITIALIZE NEW LOG
+    // 3. SEED THIS HAND
+    this.seedHand(seed === null ? this.sessionRng.nextUint32() : seed);
+    if (this.equityService) this.equityService.cancelAll();
+    this.equityStateKey = null;
+
+    // 4. INITIALIZE NEW LOG
     this.currentHandLog = {
       id: Date.now(),
       startTime: new Date().toLocaleTimeString(),
+      seed: this.handSeed,
+      sessionSeed: this.sessionSeed,
+      variant: variant,
+      bettingStructure: this.getVariantConfig(variant).structure || this.bettingStructure,
       holeCards: [],
       communityCards: [],
       actions: [],
@@ -212,17 +452,24 @@ class PokerGame {
       pfrTracked: false,
       isScenario: false
     };
+    this.actionSnapshots = [];
+    this.resetOpponentRanges();
 
-    // 4. RESET GAME STATE
+    // 5. RESET GAME STATE
     this.createDeck();
     this.shuffleDeck();
     this.communityCards = [];
     this.pot = 0;
     this.currentBet = 0;
+    this.deadMoney = 0;
     this.bettingRound = 0;
     this.lastBettor = -1;
     this.lastRaiseSize = 0;
     this.gamePhase = 'preflop';
+    if (drill) this.blindSchedule.pause();
+    else this.applyBlindLevel();
+    this.handVariant = variant;
+    this.handStructure = this.getVariantConfig(variant).structure || this.bettingStructure;
     this.inShowdownUI = false;
 
     // Rotate dealer to next non-eliminated player
@@ -238,6 +485,7 @@ class PokerGame {
       player.folded = player.eliminated || false;
       player.currentBet = 0;
       player.totalChipsBet = 0;
+      player.anteChips = 0;
       player.hasActed = false;
       player.isSmallBlind = false;
       player.isBigBlind = false;
@@ -245,7 +493,8 @@ class PokerGame {
     });
 
     // Deal Cards
-    for (let i = 0; i < 2; i++) {
+    const holeCardCount = this.getHoleCardCount();
+    for (let i = 0; i < holeCardCount; i++) {
       this.players.forEach(player => {
         if (!player.folded) {
           player.hand.push(this.deck.pop());
@@ -253,20 +502,69 @@ class PokerGame {
       });
     }
 
-    // Post Blinds
-    this.postBlinds();
+    // Difficulty changes wait for a new hand, like the other table settings
+    this.players.forEach(p => {
+      if (!p.isHuman) p.difficulty = this.getSeatDifficulty(p.id);
+    });
 
-    // Set First to Act (UTG is 3 slots after dealer in 9-player, but skip eliminated)
-    let fta = (this.dealerIndex + 3) % this.players.length;
-    while (this.players[fta].eliminated || this.players[fta].isAllIn) {
+    // Seats, starting stacks and every hand dealt, for hand-history export and replays
+    this.currentHandLog.tableSize = this.players.length;
+    this.currentHandLog.buttonId = this.players[this.dealerIndex].id;
+    this.currentHandLog.seats = this.players.filter(p => !p.eliminated).map(p => {
+      const seat = {
+        id: p.id,
+        seat: p.id + 1,
+        name: p.name,
+        chips: p.chips,
+        isHuman: !!p.isHuman,
+        cards: p.hand.map(c => c.value + c.suit)
+      };
+      if (!p.isHuman) seat.difficulty = p.difficulty;
+      return seat;
+    });
+    this.currentHandLog.posts = [];
+
+    // Post Blinds (the big blind counts as the first bet of the round)
+    this.postBlinds();
+    this.betsThisRound = 1;
+    this.currentHandLog.smallBlind = this.smallBlind;
+    this.currentHandLog.bigBlind = this.bigBlind;
+    this.currentHandLog.ante = this.ante;
+    this.currentHandLog.anteType = this.blindSchedule.anteType;
+    this.currentHandLog.blindLevel = this.blindSchedule.getCurrentLevel().number;
+
+    // Set First to Act: the seat after the big blind (heads-up that's the button/small blind)
+    let fta = (this.bigBlindIndex + 1) % this.players.length;
+    let checks = 0;
+    while ((this.players[fta].eliminated || this.players[fta].isAllIn) && checks < this.players.length) {
       fta = (fta + 1) % this.players.length;
+      checks++;
     }
     this.currentPlayerIndex = fta;
+    this.autosave();
   }
 
   postBlinds() {
+    // Standard antes come first: everyone dealt in posts, short stacks go all-in for less
+    if (this.ante > 0 && this.blindSchedule.anteType === 'standard') {
+      this.players.forEach(player => {
+        if (player.eliminated) return;
+        const anteAmount = Math.min(this.ante, player.chips);
+        player.chips -= anteAmount;
+        player.anteChips = anteAmount;
+        this.pot += anteAmount;
+        this.logPost(player, 'ante', anteAmount);
+        if (player.chips === 0) {
+          player.isAllIn = true;
+          player.hasActed = true;
+        }
+      });
+    }
+
     // Find next non-eliminated player after dealer for Small Blind
-    let sbIdx = (this.dealerIndex + 1) % this.players.length;
+    // Heads-up the button posts the small blind
+    const headsUp = this.players.filter(p => !p.eliminated).length === 2;
+    let sbIdx = headsUp ? this.dealerIndex : (this.dealerIndex + 1) % this.players.length;
     while (this.players[sbIdx].eliminated) {
       sbIdx = (sbIdx + 1) % this.players.length;
     }
@@ -279,6 +577,8 @@ class PokerGame {
 
     const smallBlindPlayer = this.players[sbIdx];
     const bigBlindPlayer = this.players[bbIdx];
+    this.smallBlindIndex = sbIdx;
+    this.bigBlindIndex = bbIdx;
 
     // Post small blind
     const sbAmount = Math.min(this.smallBlind, smallBlindPlayer.chips);
@@ -286,6 +586,7 @@ class PokerGame {
     smallBlindPlayer.currentBet = sbAmount;
     smallBlindPlayer.totalChipsBet = sbAmount;
     smallBlindPlayer.isSmallBlind = true;
+    this.logPost(smallBlindPlayer, 'small blind', sbAmount);
     if (smallBlindPlayer.chips === 0) {
       smallBlindPlayer.isAllIn = true;
       smallBlindPlayer.hasActed = true;
@@ -298,13 +599,141 @@ class PokerGame {
     bigBlindPlayer.currentBet = bbAmount;
     bigBlindPlayer.totalChipsBet = bbAmount;
     bigBlindPlayer.isBigBlind = true;
+    this.pot += bbAmount;
+    this.logPost(bigBlindPlayer, 'big blind', bbAmount);
+
+    // Big-blind ante: paid after the blind (blind takes priority when short), dead money for the table
+    if (this.ante > 0 && this.blindSchedule.anteType === 'big-blind') {
+      const anteAmount = Math.min(this.ante, bigBlindPlayer.chips);
+      bigBlindPlayer.chips -= anteAmount;
+      this.deadMoney = anteAmount;
+      this.pot += anteAmount;
+      this.logPost(bigBlindPlayer, 'ante', anteAmount);
+    }
+
     if (bigBlindPlayer.chips === 0) {
       bigBlindPlayer.isAllIn = true;
       bigBlindPlayer.hasActed = true;
     }
-    this.pot += bbAmount;
 
-    this.currentBet = bbAmount;
+    // A big blind that's all-in for less still sets the bet to the full blind
+    this.currentBet = this.bigBlind;
+  }
+
+  // Blind and ante posts, in posting order, for hand-history export
+  logPost(player, type, amount) {
+    if (!this.currentHandLog || !this.currentHandLog.posts || amount <= 0) return;
+    this.currentHandLog.posts.push({ playerId: player.id, type: type, amount: amount });
+  }
+
+  // Final board, showdown hands ({playerId, cards, handName}) and pot awards ({playerId, amount, pot})
+  // awards: [{playerId, amount, pot}], pots: [{amount, eligible, winners, handName}] (main pot first)
+  logHandResult(awards, showdown, pots) {
+    const log = this.currentHandLog;
+    if (!log) return;
+    log.communityCards = [...this.communityCards];
+    log.showdown = showdown;
+    log.awards = awards;
+    log.pots = pots;
+    log.pot = awards.reduce((sum, award) => sum + award.amount, 0);
+
+    // Exact chip change per player: stacks now against stacks when the hand (or the drill's spot) began
+    const start = {};
+    if (log.stagedStart) {
+      log.stagedStart.players.forEach(p => { start[p.id] = p.chips + p.currentBet; });
+    } else {
+      (log.seats || []).forEach(s => { start[s.id] = s.chips; });
+    }
+    log.netByPlayer = {};
+    Object.keys(start).forEach(id => { log.netByPlayer[id] = this.players[id].chips - start[id]; });
+    const human = this.players.find(p => p.isHuman);
+    log.pnl = human && log.netByPlayer[human.id] !== undefined ? log.netByPlayer[human.id] : 0;
+    log.allInEv = this.allInExpectation(log);
+  }
+
+  // Hero's expected net when the money went in before the river: each contested pot shared out by
+  // equity against the hands that were shown rather than by the cards that came. Null otherwise.
+  allInExpectation(log) {
+    const human = this.players.find(p => p.isHuman);
+    const actions = (log.actions || []).filter(entry => !entry.rewound);
+    const shown = log.showdown || [];
+    if (!human || log.isScenario || log.variant === 'omaha' || actions.length === 0) return null;
+    if (shown.length < 2 || !shown.some(sd => sd.playerId === human.id)) return null;
+
+    // Reaching showdown with betting over before the river means everyone left was all-in
+    const boardSize = { preflop: 0, flop: 3, turn: 4 }[actions[actions.length - 1].stage];
+    if (boardSize === undefined) return null;
+
+    const codes = cards => cards.map(card => HandEvaluator.cardCode(HandHistoryParser.cardObject(card)));
+    const holeCodes = {};
+    shown.forEach(sd => { holeCodes[sd.playerId] = codes(sd.cards); });
+    const boardCodes = log.communityCards.slice(0, boardSize).map(HandEvaluator.cardCode);
+    const calculator = new EquityCalculator(this.handEvaluator);
+    // Its own stream off the hand seed, so the estimate is repeatable and leaves simRng's draws alone
+    const rng = new SeededRandom(log.seed).fork('allin-ev');
+
+    let expected = 0;
+    (log.pots || []).forEach(pot => {
+      if (!pot.eligible || !pot.eligible.includes(human.id)) return;
+      const rivals = pot.eligible.filter(id => id !== human.id);
+      if (rivals.length === 0) {
+        expected += pot.amount; // Uncalled
+        return;
+      }
+      // Known hands are ranges of a single combo
+      const job = {
+        holeCodes: holeCodes[human.id],
+        boardCodes: boardCodes,
+        numOpponents: rivals.length,
+        omaha: false,
+        ranges: rivals.map(id => ({ combos: holeCodes[id], weights: [1] }))
+      };
+      expected += pot.amount * calculator.calculate(job, 5000, rng).equity;
+    });
+
+    const won = log.awards.filter(a => a.playerId === human.id).reduce((sum, a) => sum + a.amount, 0);
+    const invested = won - log.pnl;
+    return Math.round(expected - invested);
+  }
+
+  // Session and career totals take a hand once it's archived, when undo can no longer change it
+  recordHandResult(log) {
+    if (log.isScenario || !log.netByPlayer) return;
+    this.userStats.netChips = (this.userStats.netChips || 0) + log.pnl;
+    this.userStats.bigBlindsWon = (this.userStats.bigBlindsWon || 0) + (log.bigBlind ? log.pnl / log.bigBlind : 0);
+    this.userStats.handsWithResult = (this.userStats.handsWithResult || 0) + 1;
+    HudStats.record(this.userStats.hud || (this.userStats.hud = {}), log, this.players.find(p => p.isHuman).id);
+    this.bankrollManager.recordHand(log.pnl);
+
+    // Opponents are keyed by name, which stays with the archetype when the line-up changes
+    this.opponentStats = this.opponentStats || {};
+    (log.seats || []).filter(seat => !seat.isHuman).forEach(seat => {
+      HudStats.record(this.opponentStats[seat.name] || (this.opponentStats[seat.name] = {}), log, seat.id);
+    });
+
+    // Losing a third of the stack in one hand tilts an AI for up to ten hands, by its tilt tendency
+    this.players.filter(p => !p.isHuman).forEach(p => {
+      const net = log.netByPlayer[p.id];
+      const seat = (log.seats || []).find(s => s.id === p.id);
+      const { tilt = 0 } = p;
+      if (seat && net < 0 && -net >= seat.chips / 3) p.tiltHands = Math.round(tilt * 10);
+      else if (p.tiltHands > 0) p.tiltHands--;
+    });
+  }
+
+  // Observed stats and the style they suggest for an AI player: {hands, vpip, pfr, af, cbet, foldToRaise, read}
+  // with the percentages from HudStats.get() and read an ARCHETYPE_READS key (or null)
+  getOpponentProfile(player) {
+    const counts = (this.opponentStats || {})[player.name] || {};
+    return {
+      hands: HudStats.get(counts, 'vpip').opportunities,
+      vpip: HudStats.get(counts, 'vpip'),
+      pfr: HudStats.get(counts, 'pfr'),
+      af: HudStats.aggressionFactor(counts),
+      cbet: HudStats.get(counts, 'cbetFlop'),
+      foldToRaise: HudStats.get(counts, 'foldToRaise'),
+      read: HudStats.inferArchetype(counts)
+    };
   }
 
 
@@ -348,165 +777,53 @@ class PokerGame {
 
   evaluateHand(playerHand, communityCards) {
     if (!playerHand || playerHand.length === 0) {
-      return { rank: 0, name: 'No Hand', tieBreaker: [] };
+      return { rank: 0, name: 'No Hand', tieBreaker: [], strength: 0 };
+    }
+    // Omaha: exactly two hole cards plus exactly three board cards
+    if (this.handVariant === 'omaha' && playerHand.length === 4 && communityCards.length >= 3) {
+      return this.evaluateOmahaHand(playerHand, communityCards);
     }
     const allCards = [...playerHand, ...communityCards];
     const hand = this.getBestHand(allCards);
     return hand;
   }
 
-  getBestHand(cards) {
-    // Sort cards by numeric value
-    const sorted = [...cards].sort((a, b) => b.numericValue - a.numericValue);
-    const valueCounts = this.getValueCounts(sorted);
-
-    // Get sorted values by count (for tie-breaking)
-    const valuesByCount = Object.entries(valueCounts)
-      .sort((a, b) => {
-        if (b[1] !== a[1]) return b[1] - a[1]; // Sort by count first
-        return this.getNumericValue(b[0]) - this.getNumericValue(a[0]); // Then by value
-      })
-      .map(([value, count]) => ({ value, count, numericValue: this.getNumericValue(value) }));
-
-    // Check for each hand type (from best to worst)
-    // Check for each hand type (from best to worst)
-    if (this.isRoyalFlush(sorted)) {
-      return { rank: 10, name: 'Royal Flush', tieBreaker: [14] };
-    }
-
-    const flushSuit = this.getFlushSuit(sorted);
-
-    if (flushSuit) {
-      // Optimization: Prepare flush cards once
-      const flushCards = sorted.filter(c => c.suit === flushSuit);
-      const straightHighCard = this.isStraight(flushCards);
-
-      if (straightHighCard) {
-        return { rank: 9, name: 'Straight Flush', tieBreaker: [straightHighCard] };
-      }
-    }
-
-    if (this.isFourOfAKind(sorted)) {
-      const quadValue = valuesByCount.find(v => v.count === 4).numericValue;
-      const kicker = valuesByCount.find(v => v.count !== 4).numericValue;
-      return { rank: 8, name: 'Four of a Kind', tieBreaker: [quadValue, kicker] };
-    }
-    if (this.isFullHouse(sorted)) {
-      const tripValue = valuesByCount.find(v => v.count === 3).numericValue;
-      // Filter out total counts to find the pair (could be another set of trips treated as pair)
-      const pairValueCandidates = valuesByCount.filter(v => v.count >= 2 && v.numericValue !== tripValue);
-      const pairValue = pairValueCandidates[0].numericValue; // Highest remaining pair
-      return { rank: 7, name: 'Full House', tieBreaker: [tripValue, pairValue] };
-    }
-
-    if (flushSuit) {
-      const flushCards = sorted.filter(c => c.suit === flushSuit);
-      // Take top 5 cards of the flush suit
-      const flushValues = flushCards.slice(0, 5).map(c => c.numericValue);
-      return { rank: 6, name: 'Flush', tieBreaker: flushValues };
-    }
-
-    const straightHighCard = this.isStraight(sorted);
-    if (straightHighCard) {
-      return { rank: 5, name: 'Straight', tieBreaker: [straightHighCard] };
-    }
-    if (this.isThreeOfAKind(sorted)) {
-      const tripValue = valuesByCount.find(v => v.count === 3).numericValue;
-      const kickers = valuesByCount.filter(v => v.count !== 3).map(v => v.numericValue).slice(0, 2);
-      return { rank: 4, name: 'Three of a Kind', tieBreaker: [tripValue, ...kickers] };
-    }
-    if (this.isTwoPair(sorted)) {
-      const pairs = valuesByCount.filter(v => v.count >= 2).map(v => v.numericValue);
-      const topPairs = pairs.slice(0, 2);
-      const kicker = sorted.find(c => !topPairs.includes(c.numericValue)).numericValue;
-      return { rank: 3, name: 'Two Pair', tieBreaker: [...topPairs, kicker] };
-    }
-    if (this.isOnePair(sorted)) {
-      const pairValue = valuesByCount.find(v => v.count === 2).numericValue;
-      const kickers = sorted.filter(c => c.numericValue !== pairValue).map(c => c.numericValue).slice(0, 3);
-      return { rank: 2, name: 'One Pair', tieBreaker: [pairValue, ...kickers] };
-    }
-    const highCards = sorted.slice(0, 5).map(c => c.numericValue);
-    return { rank: 1, name: 'High Card', tieBreaker: highCards };
-  }
-
-  // Helper to get the suit that causes a flush, or null
-  getFlushSuit(cards) {
-    const suitCounts = {};
-    cards.forEach(card => {
-      suitCounts[card.suit] = (suitCounts[card.suit] || 0) + 1;
-    });
-    return Object.keys(suitCounts).find(suit => suitCounts[suit] >= 5) || null;
-  }
-
-  isRoyalFlush(cards) {
-    const flushSuit = this.getFlushSuit(cards);
-    if (!flushSuit) return false;
-
-    // Filter to only flush cards
-    const flushCards = cards.filter(c => c.suit === flushSuit);
-    const values = flushCards.map(c => c.value);
-    return values.includes('A') && values.includes('K') && values.includes('Q') &&
-      values.includes('J') && values.includes('10');
-  }
-
-  isStraightFlush(cards) {
-    const flushSuit = this.getFlushSuit(cards);
-    if (!flushSuit) return false;
-
-    // Filter to only flush cards BEFORE checking straight
-    const flushCards = cards.filter(c => c.suit === flushSuit);
-    return this.isStraight(flushCards);
-  }
-
-  isFourOfAKind(cards) {
-    const valueCounts = this.getValueCounts(cards);
-    return Object.values(valueCounts).includes(4);
+  evaluateOmahaHand(playerHand, communityCards) {
+    const holeCodes = playerHand.map(HandEvaluator.cardCode);
+    const boardCodes = communityCards.map(HandEvaluator.cardCode);
+    return this.handEvaluator.describe(this.handEvaluator.evaluateOmaha(holeCodes, boardCodes));
   }
 
-  isFullHouse(cards) {
-    const valueCounts = this.getValueCounts(cards);
-    const counts = Object.values(valueCounts).sort((a, b) => b - a);
-    return counts[0] === 3 && counts[1] >= 2;
-  }
-
-  isFlush(cards) {
-    return this.getFlushSuit(cards) !== null;
-  }
-
-  isStraight(cards) {
-    const uniqueValues = [...new Set(cards.map(c => c.numericValue))].sort((a, b) => b - a);
-
-    // Check for regular straight
-    for (let i = 0; i <= uniqueValues.length - 5; i++) {
-      if (uniqueValues[i] - uniqueValues[i + 4] === 4) {
-        return uniqueValues[i]; // Return high card of the straight
-      }
+  // Integer strength only (no display object) for hot loops; higher is better
+  getHandStrength(playerHand, communityCards) {
+    const holeCodes = playerHand.map(HandEvaluator.cardCode);
+    const boardCodes = communityCards.map(HandEvaluator.cardCode);
+    if (this.handVariant === 'omaha' && playerHand.length === 4 && communityCards.length >= 3) {
+      return this.handEvaluator.evaluateOmaha(holeCodes, boardCodes);
     }
-
-    // Check for A-2-3-4-5 straight (wheel)
-    if (uniqueValues.includes(14) && uniqueValues.includes(2) &&
-      uniqueValues.includes(3) && uniqueValues.includes(4) && uniqueValues.includes(5)) {
-      return 5; // High card is 5 in a wheel
-    }
-
-    return false;
-  }
-
-  isThreeOfAKind(cards) {
-    const valueCounts = this.getValueCounts(cards);
-    return Object.values(valueCounts).includes(3);
+    return this.handEvaluator.evaluate(holeCodes.concat(boardCodes));
   }
 
-  isTwoPair(cards) {
-    const valueCounts = this.getValueCounts(cards);
-    const pairs = Object.values(valueCounts).filter(count => count === 2);
-    return pairs.length >= 2;
+  // All k-sized subsets of cards (order preserved)
+  getCombinations(cards, k) {
+    const result = [];
+    const pick = (start, combo) => {
+      if (combo.length === k) {
+        result.push(combo);
+        return;
+      }
+      for (let i = start; i < cards.length; i++) {
+        pick(i + 1, [...combo, cards[i]]);
+      }
+    };
+    pick(0, []);
+    return result;
   }
 
-  isOnePair(cards) {
-    const valueCounts = this.getValueCounts(cards);
-    return Object.values(valueCounts).includes(2);
+  // Best 5-card hand from any 5-7 cards via the lookup-table evaluator (hand-evaluator.js).
+  // Returns {rank, name, tieBreaker, strength}; strength is a single comparable integer.
+  getBestHand(cards) {
+    return this.handEvaluator.evaluateCards(cards);
   }
 
   getValueCounts(cards) {
@@ -530,6 +847,7 @@ class PokerGame {
 
     const potResults = [];
     const allWinners = new Set();
+    const awards = [];
 
     // Evaluate each pot level independently
     for (const pot of this.sidePots) {
@@ -544,27 +862,11 @@ class PokerGame {
         hand: this.evaluateHand(player.hand, this.communityCards)
       }));
 
-      // Sort by rank and tie-breakers
-      playerHands.sort((a, b) => {
-        if (b.hand.rank !== a.hand.rank) return b.hand.rank - a.hand.rank;
-        const aTB = a.hand.tieBreaker || [];
-        const bTB = b.hand.tieBreaker || [];
-        for (let i = 0; i < Math.max(aTB.length, bTB.length); i++) {
-          if ((bTB[i] || 0) !== (aTB[i] || 0)) return (bTB[i] || 0) - (aTB[i] || 0);
-        }
-        return 0;
-      });
+      // Highest strength wins; equal strengths split
+      playerHands.sort((a, b) => b.hand.strength - a.hand.strength);
 
       const bestHand = playerHands[0].hand;
-      const winners = playerHands.filter(ph => {
-        if (ph.hand.rank !== bestHand.rank) return false;
-        const phTB = ph.hand.tieBreaker || [];
-        const bTB = bestHand.tieBreaker || [];
-        for (let i = 0; i < Math.max(phTB.length, bTB.length); i++) {
-          if ((phTB[i] || 0) !== (bTB[i] || 0)) return false;
-        }
-        return true;
-      });
+      const winners = playerHands.filter(ph => ph.hand.strength === bestHand.strength);
 
       // Distribute chips for THIS pot
       const share = Math.floor(pot.amount / winners.length);
@@ -573,29 +875,22 @@ class PokerGame {
       winners.forEach((w, idx) => {
         const amount = share + (idx < remainder ? 1 : 0);
         w.player.chips += amount;
+        awards.push({ playerId: w.player.id, amount: amount, pot: potResults.length });
         console.log(`POT AWARDED: ${w.player.name} wins $${amount} from pot of $${pot.amount}`);
         allWinners.add(w.player);
       });
 
       potResults.push({
         amount: pot.amount,
+        eligible: eligiblePlayers.map(p => p.id),
         winners: winners.map(w => w.player),
         handName: bestHand.name
       });
     }
 
     // Determine primary winner(s) for UI purposes (those with best hand overall across ALL pots)
-    const winningList = [...allWinners].sort((a, b) => {
-      const handA = this.evaluateHand(a.hand, this.communityCards);
-      const handB = this.evaluateHand(b.hand, this.communityCards);
-      if (handB.rank !== handA.rank) return handB.rank - handA.rank;
-      const aTB = handA.tieBreaker || [];
-      const bTB = handB.tieBreaker || [];
-      for (let i = 0; i < Math.max(aTB.length, bTB.length); i++) {
-        if ((bTB[i] || 0) !== (aTB[i] || 0)) return (bTB[i] || 0) - (aTB[i] || 0);
-      }
-      return 0;
-    });
+    const strengthOf = player => this.getHandStrength(player.hand, this.communityCards);
+    const winningList = [...allWinners].sort((a, b) => strengthOf(b) - strengthOf(a));
 
     if (winningList.length === 0) {
       console.warn("No winners found in winningList. Pot already distributed?");
@@ -603,28 +898,30 @@ class PokerGame {
       return [];
     }
 
-    const bestOverallHand = this.evaluateHand(winningList[0].hand, this.communityCards);
-
-    const primaryWinners = winningList.filter(p => {
-      const h = this.evaluateHand(p.hand, this.communityCards);
-      if (h.rank !== bestOverallHand.rank) return false;
-      const hTB = h.tieBreaker || [];
-      const bTB = bestOverallHand.tieBreaker || [];
-      for (let i = 0; i < Math.max(hTB.length, bTB.length); i++) {
-        if ((hTB[i] || 0) !== (bTB[i] || 0)) return false;
-      }
-      return true;
-    });
+    const bestStrength = strengthOf(winningList[0]);
+    const primaryWinners = winningList.filter(p => strengthOf(p) === bestStrength);
 
     // Log the result
+    const showdown = this.players.filter(p => !p.folded).map(p => ({
+      playerId: p.id,
+      cards: p.hand.map(c => c.value + c.suit),
+      handName: this.evaluateHand(p.hand, this.communityCards).name
+    }));
+    const pots = potResults.map(result => ({
+      amount: result.amount,
+      eligible: result.eligible,
+      winners: result.winners.map(p => p.id),
+      handName: result.handName
+    }));
+    this.logHandResult(awards, showdown, pots);
     if (this.currentHandLog) {
       this.currentHandLog.winner = primaryWinners.map(w => w.name).join(', ');
-      this.currentHandLog.pnl = primaryWinners.some(w => w.isHuman) ? this.pot : -this.pot;
     }
 
     // Eliminate players with 0 chips
     this.eliminateBustedPlayers();
 
+    this.autosave();
     return primaryWinners;
   }
 
@@ -633,6 +930,7 @@ class PokerGame {
     this.bettingRound++;
     this.lastBettor = -1;
     this.lastRaiseSize = 0; // Reset for new betting round
+    this.betsThisRound = 0;
 
     this.players.forEach(player => {
       player.currentBet = 0;
@@ -652,113 +950,230 @@ class PokerGame {
       this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
       checks++;
     }
+
+    this.autosave();
+  }
+
+  // Everything a player may do right now - the one source of truth for the UI, the AI and tests.
+  // Bet min/max are total chips; raise min/max are the increment on top of the call
+  // (minTotal/maxTotal give the matching "raise to" amounts).
+  getLegalActions(playerId) {
+    const player = this.players[playerId];
+    const legal = { playerId: playerId, toCall: 0, actions: [], limits: null };
+    const bettingPhases = ['preflop', 'flop', 'turn', 'river'];
+
+    if (!player || player.folded || player.eliminated || player.isAllIn || player.chips === 0 ||
+      !bettingPhases.includes(this.gamePhase)) {
+      return legal;
+    }
+
+    const limits = this.getBettingLimits(playerId);
+    const callAmount = Math.min(limits.callAmount, player.chips);
+    const chipsAfterCall = player.chips - callAmount;
+    legal.toCall = limits.callAmount;
+    legal.limits = limits;
+
+    legal.actions.push({ type: 'fold' });
+    if (limits.callAmount === 0) {
+      legal.actions.push({ type: 'check' });
+    } else {
+      legal.actions.push({ type: 'call', amount: callAmount, allIn: callAmount === player.chips });
+    }
+
+    if (limits.canBet) {
+      legal.actions.push({ type: 'bet', min: limits.minBet, max: limits.maxBet });
+    }
+    if (limits.canRaise) {
+      const base = player.currentBet + callAmount;
+      legal.actions.push({
+        type: 'raise',
+        min: limits.minRaise,
+        max: limits.maxRaise,
+        minTotal: base + limits.minRaise,
+        maxTotal: base + limits.maxRaise
+      });
+    }
+
+    // Shoving is legal when it is a call, or when the structure's maximum reaches the whole stack
+    const canShove = limits.callAmount >= player.chips ||
+      (limits.canBet && limits.maxBet === player.chips) ||
+      (limits.canRaise && limits.maxRaise === chipsAfterCall);
+    if (canShove) {
+      legal.actions.push({ type: 'allin', amount: player.chips, total: player.currentBet + player.chips });
+    }
+
+    return legal;
+  }
+
+  getLegalAction(playerId, actionType) {
+    return this.getLegalActions(playerId).actions.find(a => a.type === actionType) || null;
+  }
+
+  // Structured rejection returned by the player action methods instead of a bare false
+  rejectAction(reason, message, details = {}) {
+    return { ok: false, reason: reason, message: message, ...details };
+  }
+
+  // Check an action against getLegalActions. Returns { ok: true, option } or a rejection.
+  validateAction(playerId, actionType, amount = 0) {
+    const player = this.players[playerId];
+    const legal = this.getLegalActions(playerId);
+
+    if (legal.actions.length === 0) {
+      return this.rejectAction('PLAYER_CANNOT_ACT', `${player ? player.name : 'Player'} cannot act right now`);
+    }
+
+    const option = legal.actions.find(a => a.type === actionType);
+    if (!option) {
+      const limits = legal.limits;
+      switch (actionType) {
+        case 'check':
+          return this.rejectAction('MUST_CALL', `Cannot check facing a $${legal.toCall} bet`, { toCall: legal.toCall });
+        case 'call':
+          return this.rejectAction('NOTHING_TO_CALL', 'There is no bet to call');
+        case 'bet':
+          return this.rejectAction('BET_NOT_ALLOWED', 'There is already a bet - raise instead');
+        case 'raise':
+          if (this.currentBet === 0) return this.rejectAction('NOTHING_TO_RAISE', 'There is no bet to raise - bet instead');
+          if (limits.raiseCap && limits.betsThisRound >= limits.raiseCap) {
+            return this.rejectAction('RAISE_CAP_REACHED', `Betting is capped at ${limits.raiseCap} bets this round`);
+          }
+          return this.rejectAction('INSUFFICIENT_CHIPS', 'Not enough chips to raise - call all-in instead');
+        case 'allin':
+          return this.rejectAction('ALL_IN_EXCEEDS_LIMIT', `An all-in is above the ${limits.structure} maximum`);
+        default:
+          return this.rejectAction('UNKNOWN_ACTION', `Unknown action "${actionType}"`);
+      }
+    }
+
+    if (actionType === 'bet' || actionType === 'raise') {
+      const label = actionType === 'bet' ? 'Bet' : 'Raise';
+      const stack = actionType === 'bet' ? player.chips : player.chips - Math.min(legal.toCall, player.chips);
+
+      if (!Number.isFinite(amount) || amount <= 0) {
+        return this.rejectAction('INVALID_AMOUNT', `${label} amount must be a positive number`);
+      }
+      if (amount < option.min) {
+        return this.rejectAction('BELOW_MIN', `Minimum ${label.toLowerCase()} is $${option.min}`, { min: option.min, max: option.max });
+      }
+      // Asking for more than the stack is fine when the stack is the real limit (it becomes an all-in)
+      if (amount > option.max && option.max < stack) {
+        return this.rejectAction('ABOVE_MAX', `Maximum ${label.toLowerCase()} is $${option.max}`, { min: option.min, max: option.max });
+      }
+    }
+
+    return { ok: true, option: option };
   }
 
   playerFold(playerId) {
+    const check = this.validateAction(playerId, 'fold');
+    if (!check.ok) return check;
+
     const player = this.players[playerId];
     player.folded = true;
     player.hasActed = true;
     player.currentBet = 0; // Clear visible bet on fold
+    return { ok: true, action: 'fold', amount: 0, total: 0, allIn: false };
   }
 
   playerCheck(playerId) {
-    const player = this.players[playerId];
     // Can check if currentBet is 0 OR if player already has the current bet matched (the 'option')
-    if (this.currentBet === 0 || this.currentBet === player.currentBet) {
-      player.hasActed = true;
-      return true;
-    }
-    return false;
+    const check = this.validateAction(playerId, 'check');
+    if (!check.ok) return check;
+
+    const player = this.players[playerId];
+    player.hasActed = true;
+    return { ok: true, action: 'check', amount: 0, total: player.currentBet, allIn: false };
   }
 
   playerCall(playerId) {
+    const check = this.validateAction(playerId, 'call');
+    if (!check.ok) return check;
+
     const player = this.players[playerId];
     const callAmount = this.currentBet - player.currentBet;
 
     // Check if player is going all-in (either forced by short stack or exact amount)
     if (callAmount >= player.chips) {
-      return this.playerGoesAllIn(playerId);
+      return this.commitAllIn(playerId);
     }
 
-    if (player.chips >= callAmount) {
-      player.chips -= callAmount;
-      player.currentBet += callAmount;
-      player.totalChipsBet = (player.totalChipsBet || 0) + callAmount;
-      this.pot += callAmount;
-      player.hasActed = true;
-      return true;
-    }
-    return false;
+    player.chips -= callAmount;
+    player.currentBet += callAmount;
+    player.totalChipsBet = (player.totalChipsBet || 0) + callAmount;
+    this.pot += callAmount;
+    player.hasActed = true;
+    return { ok: true, action: 'call', amount: callAmount, total: player.currentBet, allIn: false };
   }
 
   playerBet(playerId, amount) {
     const player = this.players[playerId];
 
-    // Check if player is going all-in
-    if (amount >= player.chips) {
-      return this.playerGoesAllIn(playerId);
+    // Facing a bet, "betting" more is a raise of whatever exceeds the call
+    const callAmount = this.currentBet - player.currentBet;
+    if (callAmount > 0) {
+      return this.playerRaise(playerId, amount - callAmount);
     }
 
-    // Enforce minimum bet (must be at least big blind)
-    if (amount < this.bigBlind) {
-      return false; // Bet too small
+    // Enforces the structure's min/max (big blind minimum, pot-limit pot size, fixed-limit bet size)
+    const check = this.validateAction(playerId, 'bet', amount);
+    if (!check.ok) return check;
+
+    // Check if player is going all-in
+    if (amount >= player.chips) {
+      return this.commitAllIn(playerId);
     }
 
-    if (player.chips >= amount && amount > 0) {
-      player.chips -= amount;
-      player.currentBet += amount;
-      player.totalChipsBet = (player.totalChipsBet || 0) + amount;
-      this.pot += amount;
-      this.currentBet = Math.max(this.currentBet, player.currentBet);
-      this.lastBettor = playerId;
-      this.lastRaiseSize = amount; // Track for minimum raise
-      player.hasActed = true;
+    player.chips -= amount;
+    player.currentBet += amount;
+    player.totalChipsBet = (player.totalChipsBet || 0) + amount;
+    this.pot += amount;
+    this.currentBet = Math.max(this.currentBet, player.currentBet);
+    this.lastBettor = playerId;
+    this.lastRaiseSize = amount; // Track for minimum raise
+    this.betsThisRound++;
+    player.hasActed = true;
 
-      // Reset other players' hasActed status
-      this.players.forEach((p, idx) => {
-        if (idx !== playerId && !p.folded) {
-          p.hasActed = false;
-        }
-      });
-      return true;
-    }
-    return false;
+    // Reset other players' hasActed status
+    this.players.forEach((p, idx) => {
+      if (idx !== playerId && !p.folded) {
+        p.hasActed = false;
+      }
+    });
+    return { ok: true, action: 'bet', amount: amount, total: player.currentBet, allIn: false };
   }
 
   playerRaise(playerId, raiseAmount) {
+    // Enforces the raise cap and the structure's min/max (last raise minimum, pot after calling)
+    const check = this.validateAction(playerId, 'raise', raiseAmount);
+    if (!check.ok) return check;
+
     const player = this.players[playerId];
     const callAmount = this.currentBet - player.currentBet;
     const totalAmount = callAmount + raiseAmount;
 
     // Check if player is going all-in
     if (totalAmount >= player.chips) {
-      return this.playerGoesAllIn(playerId);
-    }
-
-    // Enforce minimum raise (must be at least the size of the last raise)
-    const minRaise = this.lastRaiseSize || this.bigBlind;
-    if (raiseAmount < minRaise) {
-      return false; // Raise too small
+      return this.commitAllIn(playerId);
     }
 
-    if (player.chips >= totalAmount && raiseAmount > 0) {
-      player.chips -= totalAmount;
-      player.currentBet += totalAmount;
-      this.pot += totalAmount;
-      this.currentBet = player.currentBet;
-      this.lastBettor = playerId;
-      this.lastRaiseSize = raiseAmount; // Track for next minimum raise
-      player.hasActed = true;
+    player.chips -= totalAmount;
+    player.currentBet += totalAmount;
+    player.totalChipsBet = (player.totalChipsBet || 0) + totalAmount;
+    this.pot += totalAmount;
+    this.currentBet = player.currentBet;
+    this.lastBettor = playerId;
+    this.lastRaiseSize = raiseAmount; // Track for next minimum raise
+    this.betsThisRound++;
+    player.hasActed = true;
 
-      // Reset other players' hasActed status
-      this.players.forEach((p, idx) => {
-        if (idx !== playerId && !p.folded) {
-          p.hasActed = false;
-        }
-      });
-      return true;
-    }
-    return false;
+    // Reset other players' hasActed status
+    this.players.forEach((p, idx) => {
+      if (idx !== playerId && !p.folded) {
+        p.hasActed = false;
+      }
+    });
+    return { ok: true, action: 'raise', amount: raiseAmount, total: player.currentBet, allIn: false };
   }
 
   isBettingComplete() {
@@ -792,15 +1207,29 @@ class PokerGame {
 
   // Handle player going all-in
   playerGoesAllIn(playerId) {
+    const check = this.validateAction(playerId, 'allin');
+    if (!check.ok) return check;
+    return this.commitAllIn(playerId);
+  }
+
+  // Move the whole stack in. The result reports what the shove amounted to (call, bet or raise).
+  commitAllIn(playerId) {
     const player = this.players[playerId];
     const allInAmount = player.chips;
-
-    if (allInAmount === 0) return false;
+    const previousBet = this.currentBet;
 
     player.chips = 0;
     player.currentBet += allInAmount;
     player.totalChipsBet = (player.totalChipsBet || 0) + allInAmount;
     this.pot += allInAmount;
+
+    // An all-in above the current bet is a bet/raise; only a full-sized one sets the next minimum raise
+    // and takes a slot of the fixed-limit cap
+    const raiseSize = player.currentBet - this.currentBet;
+    if (raiseSize > 0 && raiseSize >= (this.lastRaiseSize || this.bigBlind)) {
+      this.lastRaiseSize = raiseSize;
+      this.betsThisRound++;
+    }
     this.currentBet = Math.max(this.currentBet, player.currentBet);
     this.lastBettor = playerId;
     player.hasActed = true;
@@ -813,40 +1242,64 @@ class PokerGame {
       }
     });
 
-    return true;
+    let action = 'call';
+    let amount = allInAmount;
+    if (raiseSize > 0) {
+      action = previousBet === 0 ? 'bet' : 'raise';
+      if (action === 'raise') amount = raiseSize;
+    }
+    return { ok: true, action: action, amount: amount, total: player.currentBet, allIn: true };
   }
 
   // Create side pots when players go all-in with different amounts
   createSidePots() {
     this.sidePots = [];
 
-    // Get all players who put money in the pot (not folded before betting)
-    const playersInHand = this.players.filter(p => (p.totalChipsBet || 0) > 0);
-
-    if (playersInHand.length === 0) return;
+    // Antes and live bets are layered separately: a player all-in for a short ante
+    // can only win that much from each opponent's ante, and nothing of the betting
+    const antePots = this.buildPotLayers(this.players.map(p => ({ player: p, amount: p.anteChips || 0 })));
+    const betPots = this.buildPotLayers(this.players.map(p => ({ player: p, amount: p.totalChipsBet || 0 })));
+    const pots = [...antePots, ...betPots];
 
-    // Sort players by their total bet amount
-    const sortedPlayers = [...playersInHand].sort((a, b) => (a.totalChipsBet || 0) - (b.totalChipsBet || 0));
+    // Big-blind ante is dead money everyone dealt in can win
+    if (this.deadMoney > 0) {
+      const dealtIn = this.players.filter(p => !p.eliminated || (p.totalChipsBet || 0) > 0).map(p => p.id);
+      pots.unshift({ amount: this.deadMoney, eligiblePlayers: dealtIn });
+    }
 
-    let previousBet = 0;
+    // Merge levels that the same remaining players are contesting
+    const contenders = pot => pot.eligiblePlayers.filter(id => !this.players[id].folded).sort((a, b) => a - b).join(',');
+    pots.forEach(pot => {
+      const previous = this.sidePots[this.sidePots.length - 1];
+      if (previous && contenders(previous) === contenders(pot)) {
+        previous.amount += pot.amount;
+        previous.eligiblePlayers = [...new Set([...previous.eligiblePlayers, ...pot.eligiblePlayers])];
+      } else {
+        this.sidePots.push({ amount: pot.amount, eligiblePlayers: [...pot.eligiblePlayers] });
+      }
+    });
+  }
 
-    for (let i = 0; i < sortedPlayers.length; i++) {
-      const currentBet = sortedPlayers[i].totalChipsBet || 0;
-      const betDifference = currentBet - previousBet;
+  // Split contributions into pot levels: each level is shared by everyone who put in at least that much
+  buildPotLayers(contributions) {
+    const layers = [];
+    const sorted = contributions.filter(c => c.amount > 0).sort((a, b) => a.amount - b.amount);
 
-      if (betDifference > 0) {
-        // Calculate pot amount for this level
-        const eligiblePlayers = sortedPlayers.slice(i);
-        const potAmount = betDifference * eligiblePlayers.length;
+    let previousAmount = 0;
+    for (let i = 0; i < sorted.length; i++) {
+      const difference = sorted[i].amount - previousAmount;
 
-        this.sidePots.push({
-          amount: potAmount,
-          eligiblePlayers: eligiblePlayers.map(p => p.id)
+      if (difference > 0) {
+        const eligible = sorted.slice(i);
+        layers.push({
+          amount: difference * eligible.length,
+          eligiblePlayers: eligible.map(c => c.player.id)
         });
       }
 
-      previousBet = currentBet;
+      previousAmount = sorted[i].amount;
     }
+    return layers;
   }
 
   simulateAIAction(playerId) {
@@ -854,67 +1307,15 @@ class PokerGame {
       const player = this.players[playerId];
       if (player.folded || player.isHuman || player.isAllIn) return;
 
-      // Recalculate hand strength
-      const handStrength = this.evaluateHandStrength(player.hand, this.communityCards);
-      const position = this.getPlayerPosition(playerId);
-      const callAmount = this.currentBet - player.currentBet;
-      const potOdds = this.calculatePotOdds(callAmount);
-
-      // Personality Stats
-      const { tightness, aggression, bluffFrequency, archetype } = player;
-
-      console.log(`AI Acting: ${player.name} (${archetype}) | Str: ${handStrength.toFixed(2)} | Call: $${callAmount}`);
-
-      // 1. ADJUST STRENGTH PER POSITION
-      let adjustedStrength = handStrength;
-      if (position === 'late') adjustedStrength += 0.05;
-      if (position === 'early') adjustedStrength -= 0.05;
-
-      // 2. DECIDE IF BLUFFING
-      const activeOpponents = this.players.filter(p => !p.folded && p.id !== playerId).length;
-      let isBluffing = false;
-      if (activeOpponents <= 3 && Math.random() < bluffFrequency && adjustedStrength < 0.5) {
-        isBluffing = true;
-      }
-
-      // 3. DETERMINE ACTION
-      if (archetype === 'station' && callAmount > 0 && adjustedStrength > 0.2) {
-        this.performAction(playerId, 'call');
-        return;
-      }
-
-      if (archetype === 'maniac' && isBluffing) {
-        if (this.performAction(playerId, 'raise', this.pot * 1.5)) return;
-      }
-
-      const playThreshold = tightness * 0.6;
-
-      if (this.currentBet > 0) {
-        if (adjustedStrength > playThreshold + 0.2) {
-          if (Math.random() < aggression) this.performAction(playerId, 'raise');
-          else this.performAction(playerId, 'call');
-        } else if (adjustedStrength > playThreshold || potOdds < 0.2) {
-          this.performAction(playerId, 'call');
-        } else {
-          if (isBluffing && Math.random() < aggression) this.performAction(playerId, 'raise');
-          else this.performAction(playerId, 'fold');
-        }
-      } else {
-        if (adjustedStrength > playThreshold) {
-          if (Math.random() < aggression) this.performAction(playerId, 'bet');
-          else this.performAction(playerId, 'check');
-        } else {
-          if (isBluffing) this.performAction(playerId, 'bet');
-          else this.performAction(playerId, 'check');
-        }
-      }
+      const decision = this.getAIDecision(playerId);
+      console.log(`AI Acting: ${player.name} (${player.archetype}) | Equity: ${(decision.equity * 100).toFixed(0)}% ` +
+        `vs ${decision.opponents} | Needs: ${(decision.required * 100).toFixed(0)}% | ${decision.action}`);
+      this.takeAIAction(playerId, decision.action, decision.amount);
     } catch (err) {
       console.error(`CRITICAL AI ERROR for player ${playerId}:`, err);
       // Failsafe: Always check if possible to unblock
       try {
-        if (this.currentBet === 0 || this.players[playerId].currentBet === this.currentBet) {
-          this.playerCheck(playerId);
-        } else {
+        if (!this.playerCheck(playerId).ok) {
           this.playerFold(playerId);
         }
       } catch (e) {
@@ -923,89 +1324,290 @@ class PokerGame {
     }
   }
 
-  // Helper to execute actions and play sounds
-  performAction(playerId, actionType, amountOverride = null) {
+  // The AI's choice as {action, amount, equity, required, opponents, mistake}. Equity is against the
+  // ranges the opponents' actions so far point to (RangeCalculator), set against the price of calling;
+  // draws may call at a worse price for what they can win later (implied odds). The personality shapes
+  // the rest: tight players want a margin over the price, aggression decides how often value is bet or
+  // raised rather than checked or called, and bluffFrequency how often weak hands and draws bet anyway.
+  // showdown lowers (or raises) the price it wants for calling after the flop, and a tilted player (see
+  // recordHandResult) plays looser and wilder. The player's difficulty (getDifficultyLevels) decides how
+  // much of this it actually does.
+  getAIDecision(playerId) {
     const player = this.players[playerId];
-    const callAmount = this.currentBet - player.currentBet;
-    let result = false;
-    let actualAmount = 0;
+    let { tightness, aggression, bluffFrequency } = player;
+    const { showdown = 0.5, tilt = 0 } = player;
+    if (player.tiltHands > 0) {
+      tightness *= 1 - 0.5 * tilt;
+      aggression += (1 - aggression) * 0.5 * tilt;
+      bluffFrequency += (1 - bluffFrequency) * 0.5 * tilt;
+    }
+    const levels = this.getDifficultyLevels();
+    const level = levels[player.difficulty] || levels[this.aiDifficulty];
+    const board = this.communityCards;
+    const preflop = board.length === 0;
+    const callAmount = Math.max(0, Math.min(this.currentBet - player.currentBet, player.chips));
+    const opponents = this.getContestingOpponents(playerId);
+    const random = () => this.aiRng.next();
+
+    let equity;
+    if (this.learningEngine && level.equity !== 'strength') {
+      const ranges = level.equity === 'ranges'
+        ? opponents.map(p => this.opponentRanges[p.id] ? this.opponentRanges[p.id].getCombos() : null)
+        : null;
+      equity = this.learningEngine.calculateEquity(player.hand, board, opponents.length, level.iterations,
+        this.aiRng, ranges).equity;
+    } else {
+      equity = this.evaluateHandStrength(player.hand, board);
+    }
+
+    // Straight and flush draws on the flop and turn get a cheaper price: hitting should win about
+    // another pot-sized bet from whoever is behind
+    const potOdds = callAmount > 0 ? callAmount / (this.pot + callAmount) : 0;
+    let required = potOdds;
+    let drawing = false;
+    if (!preflop && board.length < 5 && this.learningEngine && level.impliedOdds && this.handVariant !== 'omaha') {
+      const { breakdown } = this.learningEngine.calculateOuts(player.hand, board);
+      const outs = (breakdown.flush || 0) + (breakdown.straight || 0);
+      drawing = outs >= 4;
+      if (drawing && callAmount > 0) {
+        const stackBehind = Math.max(...opponents.map(p => p.chips));
+        const implied = this.learningEngine.calculateImpliedOdds(this.pot + callAmount, callAmount,
+          player.chips - callAmount, Math.min(stackBehind, this.pot), outs);
+        required = Math.min(required, implied);
+      }
+    }
+
+    // Personality margin over the price, less in position where more of the equity gets realised
+    const position = level.positionAware ? this.getPlayerPosition(playerId) : 'middle';
+    const positionEdge = position === 'late' ? 0.03 : (position === 'early' ? -0.03 : 0);
+    required = Math.max(0, required + (tightness - 0.5) * 0.12 - positionEdge);
+    if (!preflop && callAmount > 0) required = Math.max(0, required - (showdown - 0.5) * 0.16);
+
+    // Deliberate mistakes turn the considered choice into its opposite
+    const blunders = { fold: 'call', call: 'fold', check: 'bet', bet: 'check', raise: 'call' };
+    const decide = (action, amount = null) => {
+      const mistake = random() < level.mistakeRate;
+      if (mistake) {
+        action = blunders[action];
+        amount = action === 'bet' ? this.getAIBetSize(level, player, false) : null;
+      }
+      return { action, amount, equity, required, opponents: opponents.length, mistake };
+    };
+    const fairShare = 1 / (opponents.length + 1);
+    const valueLine = Math.min(0.85, fairShare + 0.1 + 0.1 * tightness - positionEdge);
+
+    if (preflop) {
+      // Unraised: enter with the top of the range for this tightness, raising it more often when aggressive
+      const entry = 0.4 + 0.25 * tightness - positionEdge;
+      if (this.currentBet <= this.bigBlind) {
+        if (equity >= entry) return decide(random() < 0.3 + 0.7 * aggression ? 'raise' : 'call', this.getAIRaiseSize(level, player));
+        if (callAmount === 0) return decide('check');
+        if (random() < bluffFrequency * 0.15) return decide('raise', this.getAIRaiseSize(level, player));
+        return decide('fold');
+      }
+      // Facing a raise, equity is against the raiser's narrowed range: a good price alone doesn't
+      // make a weak hand worth playing out of position for the rest of the hand
+      if (equity >= entry - 0.02 && random() < aggression) return decide('raise', this.getAIRaiseSize(level, player));
+      if (equity >= Math.max(required, entry - 0.12)) return decide('call');
+      if (random() < bluffFrequency * 0.05) return decide('raise', this.getAIRaiseSize(level, player));
+      return decide('fold');
+    }
+
+    // Bluffs work best against few opponents; draws make better ones
+    const bluffChance = bluffFrequency * (drawing ? 0.8 : 0.35) * (opponents.length <= 2 ? 1 : 0.25);
+
+    if (callAmount === 0) {
+      if (equity >= valueLine) {
+        return decide(random() < 0.4 + 0.6 * aggression ? 'bet' : 'check', this.getAIBetSize(level, player, true));
+      }
+      if (random() < bluffChance) return decide('bet', this.getAIBetSize(level, player, false));
+      return decide('check');
+    }
+
+    if (equity >= valueLine + 0.1 && random() < aggression) return decide('raise', this.getAIRaiseSize(level, player));
+    if (equity >= required) return decide('call');
+    if (random() < bluffChance * (drawing ? 0.4 : 0.15)) return decide('raise', this.getAIRaiseSize(level, player));
+    return decide('fold');
+  }
+
+  // AI opponent skill, table-wide or per seat:
+  // equity: what the AI judges its hand by: 'strength' (made-hand rank only), 'random' (equity against
+  // random hands) or 'ranges' (against the ranges the opponents' actions point to); iterations for it
+  // impliedOdds: credits draws with what they win when they hit; positionAware: plays wider in position
+  // sizing: 'erratic' (anything from a quarter pot to over pot), 'fixed' (default pot fractions),
+  // 'personality' (the player's betSizing, bigger for value when aggressive), 'polarized' (one size for value and bluffs alike,
+  // bigger on the river); mistakeRate: chance a decision is replaced by its opposite
+  getDifficultyLevels() {
+    return {
+      beginner: {
+        name: 'Beginner', equity: 'strength', iterations: 0, impliedOdds: false, positionAware: false,
+        sizing: 'erratic', mistakeRate: 0.2
+      },
+      intermediate: {
+        name: 'Intermediate', equity: 'random', iterations: 300, impliedOdds: false, positionAware: false,
+        sizing: 'fixed', mistakeRate: 0.1
+      },
+      advanced: {
+        name: 'Advanced', equity: 'ranges', iterations: 600, impliedOdds: true, positionAware: true,
+        sizing: 'personality', mistakeRate: 0.03
+      },
+      expert: {
+        name: 'Expert', equity: 'ranges', iterations: 1500, impliedOdds: true, positionAware: true,
+        sizing: 'polarized', mistakeRate: 0
+      }
+    };
+  }
+
+  // Bet size for a difficulty level (null: the default pot fraction). Players from saves made before
+  // the newer knobs (betSizing, tilt, showdown) play them at their neutral values, here and in getAIDecision.
+  getAIBetSize(level, player, forValue) {
+    const { betSizing = 0.5 } = player;
+    switch (level.sizing) {
+      case 'erratic':
+        return Math.floor(this.pot * (0.25 + this.aiRng.next()));
+      case 'personality':
+        return Math.floor(this.pot * (forValue ? 0.5 + 0.3 * player.aggression : 0.5) * (0.5 + betSizing));
+      case 'polarized':
+        return Math.floor(this.pot * (this.communityCards.length === 5 ? 0.9 : 0.66));
+      default:
+        return null;
+    }
+  }
+
+  // Raise increment (over the call) for a difficulty level (null: the default)
+  getAIRaiseSize(level, player) {
+    if (level.sizing === 'erratic') return Math.floor(this.pot * (0.25 + this.aiRng.next()));
+    if (level.sizing === 'polarized') return Math.floor((this.pot + this.currentBet) * 0.75);
+    if (level.sizing !== 'personality') return null;
+    const { betSizing = 0.5 } = player;
+    return Math.floor(this.pot * 0.7 * (0.5 + betSizing));
+  }
+
+  // Table-wide (seat null) or for one AI seat (1..n-1). Takes effect from the next hand.
+  setAIDifficulty(level, seat = null) {
+    if (!this.getDifficultyLevels()[level]) return false;
+    if (seat === null) {
+      this.aiDifficulty = level;
+      this.seatDifficulties = null;
+    } else {
+      this.seatDifficulties = this.seatDifficulties || Array(this.tableSize - 1).fill(null);
+      this.seatDifficulties[seat - 1] = level;
+    }
+    this.rememberLineup();
+    return true;
+  }
+
+  getSeatDifficulty(seat) {
+    return (this.seatDifficulties && this.seatDifficulties[seat - 1]) || this.aiDifficulty;
+  }
+
+  // Opponents an AI weighs its hand against: postflop everyone still in; preflop whoever has put chips
+  // in voluntarily, or else one (random) hand for the blinds, since the rest mostly fold
+  getContestingOpponents(playerId) {
+    const live = this.players.filter(p => !p.folded && !p.eliminated && p.id !== playerId);
+    if (this.communityCards.length > 0 || !this.currentHandLog) return live;
+    const entered = new Set(this.currentHandLog.actions
+      .filter(entry => !entry.rewound && entry.stage === 'preflop' && ['call', 'bet', 'raise'].includes(entry.action))
+      .map(entry => entry.playerId));
+    const contesting = live.filter(p => entered.has(p.id));
+    return contesting.length > 0 ? contesting : live.slice(0, 1);
+  }
+
+  // Helper to execute actions and play sounds.
+  // Bet/raise without an amount use the default pot-fraction sizing. Returns the action result;
+  // an illegal action is rejected (result.ok === false) rather than replaced with another one.
+  performAction(playerId, actionType, amountOverride = null) {
+    const snapshot = this.captureSnapshot(playerId);
+    const betBefore = this.players[playerId].currentBet;
+    const potBefore = this.pot;
+    // What the coach advised the human here, kept with the hand for its review
+    const advice = this.players[playerId].isHuman ? this.getOptimalActionForPlayer() : null;
+    // Only a missing amount means the default size; a bad one (NaN, 0) is rejected by validateAction
+    const sizeFor = type => (amountOverride === null || amountOverride === undefined)
+      ? this.getDefaultBetSize(playerId, type) : amountOverride;
+    let result;
 
     switch (actionType) {
       case 'fold':
-        this.playerFold(playerId);
-        if (window.soundManager) window.soundManager.playFold();
-        result = true;
+        result = this.playerFold(playerId);
         break;
       case 'check':
         result = this.playerCheck(playerId);
-        if (result && window.soundManager) window.soundManager.playCheck();
         break;
       case 'call':
-        actualAmount = callAmount;
         result = this.playerCall(playerId);
-        if (result && window.soundManager) window.soundManager.playChipSound();
         break;
       case 'bet':
-        const betAmount = amountOverride || Math.max(this.bigBlind, Math.floor(this.pot * 0.6));
-        const finalBet = Math.min(betAmount, player.chips);
-        actualAmount = finalBet;
-        if (this.playerBet(playerId, finalBet)) {
-          if (window.soundManager) window.soundManager.playChipSound();
-          result = true;
-        } else {
-          // Fallback
-          this.playerCheck(playerId);
-          if (window.soundManager) window.soundManager.playCheck();
-          actionType = 'check'; // Correct the action for callback
-          result = true;
-        }
+        result = this.playerBet(playerId, sizeFor('bet'));
         break;
       case 'raise':
-        const raiseAmt = amountOverride || Math.max(this.lastRaiseSize || this.bigBlind, Math.floor(this.pot * 0.7));
-        const finalRaise = Math.min(raiseAmt, player.chips - callAmount);
-        actualAmount = finalRaise;
-        if (this.playerRaise(playerId, finalRaise)) {
-          if (window.soundManager) window.soundManager.playRaise();
-          result = true;
-        } else {
-          // Fallback to call
-          actionType = 'call';
-          actualAmount = callAmount;
-          result = this.playerCall(playerId);
-          if (result && window.soundManager) window.soundManager.playChipSound();
-
-          // Absolute fallback if call also failed (should be impossible but let's be safe)
-          if (!result) {
-            this.playerFold(playerId);
-            actionType = 'fold';
-            if (window.soundManager) window.soundManager.playFold();
-            result = true;
-          }
-        }
+        result = this.playerRaise(playerId, sizeFor('raise'));
+        break;
+      case 'allin':
+        result = this.playerGoesAllIn(playerId);
         break;
+      default:
+        result = this.rejectAction('UNKNOWN_ACTION', `Unknown action "${actionType}"`);
+    }
+
+    if (!result.ok) return result;
+    this.actionSnapshots.push(snapshot);
+
+    if (window.soundManager) {
+      if (result.action === 'fold') window.soundManager.playFold();
+      else if (result.action === 'check') window.soundManager.playCheck();
+      else if (result.action === 'raise') window.soundManager.playRaise();
+      else window.soundManager.playChipSound();
     }
 
-    if (result && this.onAction) {
-      this.onAction(playerId, actionType, actualAmount);
+    if (this.onAction) {
+      // details: the chips the action put in (a raise's amount is only the increment over the call)
+      // against the pot before it, which range narrowing reads the bet size from, and the coach's advice
+      // (null if the human acted before the equity for the spot was in)
+      const details = {
+        committed: this.players[playerId].currentBet - betBefore,
+        potBefore: potBefore,
+        advice: advice && advice.action ? {
+          action: advice.action,
+          confidence: advice.confidence,
+          equity: advice.equity,
+          potOdds: advice.potOdds,
+          explanation: advice.explanation
+        } : null
+      };
+      this.onAction(playerId, result.action, result.amount, details);
     }
     return result;
   }
 
-  // Helper function to determine player position
-  getPlayerPosition(playerId) {
-    const activePlayers = this.players.filter(p => !p.folded && p.chips > 0).length;
-    const smallBlindIndex = (this.dealerIndex + 1) % this.players.length;
-    const bigBlindIndex = (this.dealerIndex + 2) % this.players.length;
+  // ~60% pot bets, ~70% pot raises
+  getDefaultBetSize(playerId, actionType) {
+    if (actionType === 'bet') return Math.max(this.bigBlind, Math.floor(this.pot * 0.6));
+    return Math.max(this.lastRaiseSize || this.bigBlind, Math.floor(this.pot * 0.7));
+  }
 
-    // Calculate position relative to dealer
-    let positionFromDealer = (playerId - this.dealerIndex + this.players.length) % this.players.length;
+  // Map what the AI wants to do onto a legal action: sizes are clamped into the legal range,
+  // and an unavailable action falls back explicitly (raise -> call -> check -> fold, bet -> check,
+  // and never fold when checking is free)
+  takeAIAction(playerId, intended, amount = null) {
+    const legal = this.getLegalActions(playerId);
+    const fallbacks = {
+      raise: ['raise', 'call', 'check', 'fold'],
+      bet: ['bet', 'check', 'fold'],
+      call: ['call', 'check', 'fold'],
+      check: ['check', 'fold'],
+      fold: ['check', 'fold']
+    };
+
+    const order = fallbacks[intended] || ['check', 'fold'];
+    const option = order.map(type => legal.actions.find(a => a.type === type)).find(Boolean);
+    if (!option) return this.rejectAction('PLAYER_CANNOT_ACT', `${this.players[playerId].name} cannot act right now`);
 
-    // Early position: first 3 after big blind
-    if (positionFromDealer >= 3 && positionFromDealer <= 5) return 'early';
-    // Middle position: next 3
-    if (positionFromDealer >= 6 && positionFromDealer <= 7) return 'middle';
-    // Late position: button and cutoff
-    return 'late';
+    if (option.type === 'bet' || option.type === 'raise') {
+      const size = Math.floor(amount || this.getDefaultBetSize(playerId, option.type));
+      return this.performAction(playerId, option.type, Math.max(option.min, Math.min(size, option.max)));
+    }
+    return this.performAction(playerId, option.type);
   }
 
   // Calculate pot odds
@@ -1017,6 +1619,7 @@ class PokerGame {
   // Evaluate pre-flop hand strength with proper rankings
   evaluatePreFlopHand(hand) {
     if (hand.length < 2) return 0.3;
+    if (hand.length === 4) return this.evaluatePreFlopOmahaHand(hand);
 
     const card1 = hand[0];
     const card2 = hand[1];
@@ -1057,6 +1660,26 @@ class PokerGame {
     return 0.25;
   }
 
+  // Omaha starting hands: best two-card holding, adjusted for how well all four cards work together
+  evaluatePreFlopOmahaHand(hand) {
+    const pairScores = this.getCombinations(hand, 2).map(pair => this.evaluatePreFlopHand(pair));
+    let strength = Math.max(...pairScores);
+
+    const suitTally = {};
+    hand.forEach(c => suitTally[c.suit] = (suitTally[c.suit] || 0) + 1);
+    const suitCounts = Object.values(suitTally);
+    const valueCounts = Object.values(this.getValueCounts(hand));
+    const values = hand.map(c => c.numericValue);
+    const span = Math.max(...values) - Math.min(...values);
+
+    if (suitCounts.filter(count => count === 2).length === 2) strength += 0.05; // Double-suited
+    if (span <= 4 && valueCounts.every(count => count === 1)) strength += 0.05; // Rundown
+    if (valueCounts.some(count => count >= 3)) strength -= 0.15; // Trips/quads kill your own outs
+    if (suitCounts.some(count => count >= 3)) strength -= 0.03; // Wasted suited cards
+
+    return Math.max(0, Math.min(1, strength));
+  }
+
   evaluateHandStrength(hand, communityCards) {
     if (communityCards.length === 0) {
       // Pre-flop: use improved hand evaluation
@@ -1080,6 +1703,9 @@ class PokerGame {
         break;
       }
     } while (this.players[this.currentPlayerIndex].folded || this.players[this.currentPlayerIndex].isAllIn || this.players[this.currentPlayerIndex].eliminated);
+
+    // Turn has passed on: the action that just happened is complete
+    this.autosave();
   }
 
   // Learning Features Methods
@@ -1096,12 +1722,16 @@ class PokerGame {
       const winAmount = this.pot;
       winner.chips += winAmount;
       this.pot = 0; // Atomic reset to prevent double awarding
+      this.logHandResult([{ playerId: winner.id, amount: winAmount, pot: 0 }], [],
+        [{ amount: winAmount, eligible: [winner.id], winners: [winner.id], handName: null }]);
+      if (this.currentHandLog) this.currentHandLog.winner = winner.name;
       console.log(`SINGLE PLAYER WIN: ${winner.name} wins $${winAmount} by default`);
 
       // Set game to showdown state to trigger winner display
       this.gamePhase = 'showdown';
       this.singlePlayerWin = true;
       this.singleWinner = winner;
+      this.autosave();
 
       return true;
     }
@@ -1109,63 +1739,173 @@ class PokerGame {
     return false;
   }
 
+  // Seat label relative to the button for the current number of active players,
+  // e.g. BTN, SB, BB, UTG, UTG+1, LJ, HJ, CO. Heads-up the button is also the small blind.
+  getPositionLabel(playerId) {
+    const n = this.players.length;
+    const seatsFromButton = [];
+    for (let i = 0; i < n; i++) {
+      const seat = (this.dealerIndex + i) % n;
+      if (!this.players[seat].eliminated) seatsFromButton.push(seat);
+    }
+
+    const index = seatsFromButton.indexOf(this.players.findIndex(p => p.id === playerId));
+    if (index === -1) return 'unknown';
+    return PokerGame.positionName(index, seatsFromButton.length);
+  }
+
+  // Label for the seat `index` places after the button (0 = button) with `count` players dealt in
+  static positionName(index, count) {
+    if (count === 2) return index === 0 ? 'BTN' : 'BB';
+    if (index === 0) return 'BTN';
+    if (index === 1) return 'SB';
+    if (index === 2) return 'BB';
+
+    // Seats between the big blind and the button, named back from the cutoff
+    const middleCount = count - 3;
+    const late = ['LJ', 'HJ', 'CO'].slice(-Math.min(middleCount, 3));
+    const early = ['UTG', 'UTG+1', 'UTG+2'].slice(0, middleCount - late.length);
+    if (early.length === 0 && late.length === 3) late[0] = 'UTG'; // 6-max: UTG, HJ, CO
+    return [...early, ...late][index - 3];
+  }
+
+  // Position label of a seat in a logged hand, from the seats dealt in and the button
+  static loggedPositionLabel(hand, playerId) {
+    const order = (hand.seats || []).map(s => s.id).sort((a, b) => a - b);
+    if (!order.includes(playerId)) return 'unknown';
+    const buttonIndex = Math.max(0, order.indexOf(hand.buttonId));
+    const fromButton = (order.indexOf(playerId) - buttonIndex + order.length) % order.length;
+    return PokerGame.positionName(fromButton, order.length);
+  }
+
   // Get player position relative to dealer (early, middle, late)
   getPlayerPosition(playerId) {
-    const numPlayers = this.players.length;
-    const dealerPos = this.dealerIndex;
-    const playerPos = this.players.findIndex(p => p.id === playerId);
+    return PokerGame.positionGroup(this.getPositionLabel(playerId));
+  }
 
-    if (playerPos === -1) return 'unknown';
+  static positionGroup(label) {
+    if (label === 'unknown') return 'unknown';
+    if (label === 'BTN' || label === 'CO') return 'late';
+    if (label === 'HJ' || label === 'LJ') return 'middle';
+    // Blinds and UTG seats act early post-flop or face the whole table preflop
+    return 'early';
+  }
 
-    // Calculate position relative to dealer
-    let relativePos = (playerPos - dealerPos + numPlayers) % numPlayers;
+  // Number of players still seated (not eliminated)
+  getActiveSeatCount() {
+    return this.players.filter(p => !p.eliminated).length;
+  }
 
-    // Early position: 1-3 seats after dealer (SB, BB, UTG)
-    if (relativePos >= 1 && relativePos <= 3) {
-      return 'early';
-    }
-    // Late position: dealer and 2 seats before dealer (cutoff, button)
-    else if (relativePos === 0 || relativePos >= numPlayers - 2) {
-      return 'late';
-    }
-    // Middle position: everything else
-    else {
-      return 'middle';
-    }
+  // Identifies the spot equity was computed for: a new street, a fold or a narrowed range makes
+  // older results stale
+  getEquityStateKey() {
+    const board = this.communityCards.map(c => c.value + c.suit).join('');
+    const active = this.players.filter(p => !p.folded).map(p => p.id).join(',');
+    return `${this.handSeed}|${this.handVariant}|${board}|${active}|${this.rangeVersion}`;
+  }
+
+  // Weighted ranges the given player's opponents are treated as holding, in seat order. Only the
+  // human has read the opponents' actions, so everyone else plays against random hands (null).
+  getOpponentRanges(playerId) {
+    if (playerId !== 0) return null;
+    return this.players.filter(p => !p.folded && p.id !== playerId).map(p => {
+      const range = this.opponentRanges[p.id];
+      return range ? range.getCombos() : null;
+    });
+  }
+
+  // Everyone still seated starts the hand able to hold anything; the human's range is what the AIs read
+  resetOpponentRanges() {
+    this.opponentRanges = {};
+    if (typeof RangeCalculator === 'undefined') return;
+    this.players.forEach(p => {
+      if (!p.eliminated) this.opponentRanges[p.id] = new RangeCalculator();
+    });
   }
 
-  // Update equity for all active players
+  // Update equity for all active players (preflop only the human's, which the coach advises from)
+  // With an equityService the work runs in the worker and player.equity refines as batches come back
+  // (onEquityUpdate fires for each estimate); otherwise it is computed synchronously.
   updatePlayerEquity() {
-    if (!this.learningEngine || this.communityCards.length === 0) return;
+    if (!this.learningEngine) return;
+
+    const stateKey = this.getEquityStateKey();
+    if (stateKey === this.equityStateKey) return; // Already running or done for this spot
+    this.equityStateKey = stateKey;
+
+    const numOpponents = this.players.filter(p => !p.folded).length - 1;
+    const activePlayers = this.players.filter(p => !p.folded && (this.communityCards.length > 0 || p.isHuman));
+
+    if (!this.equityService) {
+      activePlayers.forEach(player => {
+        if (player.hand.length >= 2) {
+          const equityData = this.learningEngine.calculateEquity(
+            player.hand,
+            this.communityCards,
+            numOpponents,
+            500, // iterations
+            this.simRng,
+            this.getOpponentRanges(player.id)
+          );
+          this.applyEquityResult(player, equityData);
+        }
+      });
+      return;
+    }
 
-    const activePlayers = this.players.filter(p => !p.folded);
-    const numOpponents = activePlayers.length - 1;
+    this.equityService.cancelStale(stateKey);
 
     activePlayers.forEach(player => {
-      if (player.hand.length === 2) {
-        const equityData = this.learningEngine.calculateEquity(
-          player.hand,
-          this.communityCards,
-          numOpponents,
-          500 // iterations
-        );
-        player.equity = equityData.equity;
-        player.winProbability = equityData.winRate;
-      }
+      if (player.hand.length < 2) return;
+      const playerId = player.id;
+      player.equityPending = true;
+
+      this.learningEngine.calculateEquityAsync(player.hand, this.communityCards, numOpponents, 2000, {
+        stateKey: stateKey,
+        seed: this.simRng.nextUint32(),
+        ranges: this.getOpponentRanges(playerId),
+        onProgress: (result) => {
+          if (this.equityStateKey !== stateKey) return;
+          this.applyEquityResult(this.players[playerId], result);
+          if (this.onEquityUpdate) this.onEquityUpdate(playerId, result);
+        }
+      }).then(() => {
+        if (this.equityStateKey === stateKey) this.players[playerId].equityPending = false;
+      }).catch(err => {
+        if (!err.cancelled) console.error('Equity calculation failed:', err);
+      });
     });
   }
 
+  // equityMethod is 'exact' or 'monte-carlo'; equityMargin is the 95% half-width for sampled estimates
+  // equityKey is the spot (getEquityStateKey) the estimate belongs to
+  applyEquityResult(player, result) {
+    player.equityKey = this.equityStateKey;
+    player.equity = result.equity;
+    player.winProbability = result.winRate;
+    player.equityMethod = result.method;
+    player.equityMargin = result.confidenceInterval ? result.confidenceInterval.margin : 0;
+  }
+
   // Get optimal action recommendation for human player
   getOptimalActionForPlayer() {
     if (!this.learningEngine) return null;
 
     const player = this.players[0]; // Human player is always at index 0
-    if (!player || player.folded || player.hand.length !== 2) return null;
+    if (!player || player.folded || player.hand.length < 2) return null;
 
     const position = this.getPlayerPosition(0);
     const activePlayers = this.players.filter(p => !p.folded);
     const numOpponents = activePlayers.length - 1;
 
+    // Advise from the range-weighted estimate updatePlayerEquity keeps (in the worker when there is one),
+    // never a simulation of its own here. Until the first estimate for this spot lands there is no
+    // action to recommend, only a pending one; onEquityUpdate refreshes it.
+    this.updatePlayerEquity();
+    if (player.equityKey !== this.getEquityStateKey()) {
+      return { action: null, confidence: null, equityPending: true, explanation: 'Working out your equity for this spot...' };
+    }
+
     const rec = this.learningEngine.getOptimalAction(
       player.hand,
       this.communityCards,
@@ -1174,8 +1914,10 @@ class PokerGame {
       player.currentBet,
       player.chips,
       position,
-      numOpponents
+      numOpponents,
+      player.equity
     );
+    rec.equityPending = !!player.equityPending;
 
     // Add explanation
     const callAmount = this.currentBet - player.currentBet;
@@ -1196,27 +1938,166 @@ class PokerGame {
     return rec;
   }
 
+  // Read PokerStars-format text into importedHands, each with the coach's review of hero's decisions.
+  // Hands already imported, this session or in an earlier one (in the database), are skipped.
+  // Resolves with {imported, duplicates, errors}.
+  importHandHistory(text) {
+    const { hands, errors } = new HandHistoryParser().parse(text);
+    const stored = hand => this.handDatabase
+      ? this.handDatabase.getHand(hand.id).catch(() => null)
+      : Promise.resolve(null);
+    return Promise.all(hands.map(stored)).then(found => {
+      let imported = 0;
+      hands.forEach((hand, i) => {
+        if (found[i] || this.importedHands.some(h => h.id === hand.id)) return;
+        hand.review = this.reviewHand(hand);
+        this.importedHands.push(hand);
+        this.storeHand(hand);
+        imported++;
+      });
+      return { imported, duplicates: hands.length - imported, errors };
+    });
+  }
+
+  // Save a finished hand to the database with the coach's review and the fields history filters on
+  storeHand(hand) {
+    if (!this.handDatabase || !hand.awards) return; // Hands logged before results were recorded
+    if (!hand.review && !hand.isScenario) hand.review = this.reviewHand(hand);
+    hand.summary = this.summarizeHand(hand);
+    this.handDatabase.saveHand(hand).catch(err => console.warn('Could not store hand:', err));
+  }
+
+  // {time, type: live|scenario|imported, position, category, net, result: won|lost|even, evNet, stack,
+  // bigBlind, session} for the human
+  summarizeHand(hand) {
+    const hero = (hand.seats || []).find(s => s.isHuman);
+    const staged = hand.stagedStart ? hand.stagedStart.players.find(p => p.isHuman) : null;
+    const cards = (staged || hero || { cards: [] }).cards.map(HandHistoryParser.cardObject);
+    const net = hand.pnl || 0;
+    return {
+      time: hand.playedAt || hand.id,
+      type: hand.imported ? 'imported' : (hand.isScenario ? 'scenario' : 'live'),
+      position: hero ? PokerGame.loggedPositionLabel(hand, hero.id) : 'unknown',
+      category: this.learningEngine && cards.length ? this.learningEngine.getHandCategory(cards) : 'junk',
+      net: net,
+      result: net > 0 ? 'won' : (net < 0 ? 'lost' : 'even'),
+      evNet: typeof hand.allInEv === 'number' ? hand.allInEv : net, // All-in adjusted
+      stack: hero ? hero.chips + net : null, // After the hand
+      bigBlind: hand.bigBlind || null,
+      session: hand.sessionSeed === undefined ? null : hand.sessionSeed
+    };
+  }
+
+  // The coach's call at each of hero's decisions in a logged hand, plus outs on the flop and turn. Hold'em
+  // only. Played hands reuse the advice logged at the table (range-weighted equity); imported ones have
+  // none, so the pot, bet to call, stack, position and players left are replayed for an estimate
+  // against random hands.
+  reviewHand(hand) {
+    if (!this.learningEngine || hand.variant === 'omaha') return [];
+    const hero = (hand.seats || []).find(s => s.isHuman);
+    if (!hero || hero.cards.length !== 2) return [];
+
+    const heroCards = hero.cards.map(HandHistoryParser.cardObject);
+    const board = hand.communityCards || [];
+    const boardSize = { preflop: 0, flop: 3, turn: 4, river: 5 };
+
+    const label = PokerGame.loggedPositionLabel(hand, hero.id);
+    const position = PokerGame.positionGroup(label);
+
+    const chips = {};
+    const streetBets = {};
+    const folded = new Set();
+    let pot = 0;
+    let currentBet = 0;
+    hand.seats.forEach(s => {
+      chips[s.id] = s.chips;
+      streetBets[s.id] = 0;
+    });
+    (hand.posts || []).forEach(post => {
+      chips[post.playerId] = HandHistoryParser.round(chips[post.playerId] - post.amount);
+      pot = HandHistoryParser.round(pot + post.amount);
+      if (post.type === 'ante') return;
+      streetBets[post.playerId] = HandHistoryParser.round(streetBets[post.playerId] + post.amount);
+      currentBet = Math.max(currentBet, streetBets[post.playerId]);
+    });
+
+    const review = [];
+    let stage = 'preflop';
+    (hand.actions || []).filter(entry => !entry.rewound).forEach(entry => {
+      if (entry.stage !== stage) {
+        stage = entry.stage;
+        Object.keys(streetBets).forEach(id => { streetBets[id] = 0; });
+        currentBet = 0;
+      }
+
+      if (entry.playerId === hero.id && boardSize[stage] !== undefined) {
+        const cards = board.slice(0, boardSize[stage]);
+        let rec = entry.advice || null;
+        if (hand.imported) {
+          const numOpponents = hand.seats.length - folded.size - 1;
+          rec = this.learningEngine.getOptimalAction(
+            heroCards, cards, pot, currentBet, streetBets[hero.id], chips[hero.id], position, numOpponents
+          );
+          rec.explanation = this.learningEngine.generateExplanation(
+            rec, heroCards, cards, pot, HandHistoryParser.round(currentBet - streetBets[hero.id]), position
+          );
+        }
+        const outs = cards.length === 3 || cards.length === 4 ? this.learningEngine.calculateOuts(heroCards, cards) : null;
+        const aggressive = action => (action === 'bet' ? 'raise' : action);
+        review.push({
+          stage: stage,
+          position: label,
+          action: entry.action,
+          amount: entry.amount,
+          recommended: rec ? rec.action : null, // null: acted before the coach had a read
+          agrees: rec ? aggressive(entry.action) === aggressive(rec.action) : true,
+          confidence: rec ? rec.confidence : null,
+          equity: rec ? rec.equity : null,
+          potOdds: rec ? rec.potOdds : 0,
+          outs: outs ? outs.total : null,
+          explanation: rec ? rec.explanation : 'You acted before the coach had an equity read for this spot.'
+        });
+      }
+
+      if (entry.action === 'fold') {
+        folded.add(entry.playerId);
+      } else if (['call', 'bet', 'raise'].includes(entry.action)) {
+        const added = HandHistoryParser.round(entry.total - streetBets[entry.playerId]); // Imported stakes carry cents
+        chips[entry.playerId] = HandHistoryParser.round(chips[entry.playerId] - added);
+        pot = HandHistoryParser.round(pot + added);
+        streetBets[entry.playerId] = entry.total;
+        currentBet = Math.max(currentBet, entry.total);
+      }
+    });
+    return review;
+  }
+
   initializeLearningEngine() {
     if (typeof LearningEngine !== 'undefined') {
       this.learningEngine = new LearningEngine(this);
     }
-    if (typeof RangeCalculator !== 'undefined') {
-      this.rangeCalculator = new RangeCalculator();
-    }
   }
 
-  logAction(playerId, action, amount = 0, stage = null) {
+  // details: {committed, potBefore, advice} from performAction; without it the amount is taken as the
+  // whole bet and no advice is logged
+  logAction(playerId, action, amount = 0, stage = null, details = null) {
     if (!this.currentHandLog) return;
 
     const player = this.players[playerId];
+    stage = stage || this.gamePhase;
+    // total and allIn read the player's state right after the action (onAction fires immediately)
     const logEntry = {
-      stage: stage || this.gamePhase,
+      stage: stage,
+      playerId: playerId,
       actor: player.name,
       isHuman: player.isHuman,
       action: action,
       amount: amount,
+      total: player.currentBet,
+      allIn: !!player.isAllIn,
       potSize: this.pot
     };
+    if (details && details.advice) logEntry.advice = details.advice;
 
     this.currentHandLog.actions.push(logEntry);
 
@@ -1228,9 +2109,17 @@ class PokerGame {
       this.currentHandLog.holeCards = player.hand.map(c => c.value + c.suit);
     }
 
-    // Update Range Calculator if it's an opponent action
-    if (!player.isHuman && this.rangeCalculator) {
-      this.rangeCalculator.applyAction(action, stage);
+    // Narrow the actor's range; the human has no personality profile, so theirs reads as an average player's
+    const range = this.opponentRanges[playerId];
+    if (range) {
+      const { committed, potBefore } = details || { committed: amount, potBefore: this.pot - amount };
+      range.applyAction(action, stage, {
+        profile: player.isHuman ? null : player,
+        position: this.getPositionLabel(playerId),
+        betToPot: potBefore > 0 ? committed / potBefore : 0,
+        board: this.communityCards.map(HandEvaluator.cardCode)
+      });
+      if (!player.isHuman) this.rangeVersion++;
     }
 
     this.updateUserStats(playerId, action, stage);
@@ -1262,15 +2151,257 @@ class PokerGame {
     }
   }
 
+  // SAVE / RESUME
+  // Plain fields copied as-is; RNG streams, the blind schedule and the range grid are handled separately
+  static getSaveFields() {
+    return [
+      'players', 'deck', 'communityCards', 'currentPlayerIndex', 'dealerIndex', 'smallBlindIndex', 'bigBlindIndex',
+      'pot', 'currentBet', 'smallBlind', 'bigBlind', 'ante', 'deadMoney', 'gamePhase',
+      'gameVariant', 'handVariant', 'bettingStructure', 'handStructure', 'betsThisRound', 'bettingRound',
+      'lastBettor', 'lastRaiseSize', 'sidePots', 'eliminationOrder', 'gameOver', 'humanPlayerPlacement',
+      'settings', 'handHistory', 'currentHandLog', 'mistakeTracker', 'userStats', 'opponentStats', 'tableSize',
+      'seatArchetypes', 'aiDifficulty', 'seatDifficulties', 'sessionSeed', 'handSeed', 'singlePlayerWin', 'inShowdownUI'
+    ];
+  }
+
+  // Snapshot of the whole game (mid-hand included) as plain JSON-safe data.
+  // Saves and undo snapshots leave out handHistory, which can't change mid-hand.
+  serialize(options = {}) {
+    const { includeHistory = true } = options;
+    const state = { saveVersion: 1, gameVersion: this.version, savedAt: Date.now() };
+    PokerGame.getSaveFields().forEach(field => {
+      if (field === 'handHistory' && !includeHistory) return;
+      state[field] = this[field] === undefined ? null : this[field];
+    });
+
+    state.singleWinnerId = this.singleWinner ? this.singleWinner.id : null;
+    state.rngState = {
+      session: this.sessionRng.getState(),
+      deck: this.rng.getState(),
+      ai: this.aiRng.getState(),
+      sim: this.simRng.getState()
+    };
+    state.blindSchedule = this.blindSchedule.getState();
+    state.rangeWeights = {};
+    Object.keys(this.opponentRanges).forEach(id => { state.rangeWeights[id] = this.opponentRanges[id].weights; });
+
+    // Deep copy so later play can't mutate the snapshot
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  // Load a snapshot from serialize(). Returns false if it isn't a usable save.
+  restore(saved) {
+    if (!saved || saved.saveVersion !== 1 || !Array.isArray(saved.players) || saved.players.length < 2) {
+      return false;
+    }
+    const state = JSON.parse(JSON.stringify(saved));
+
+    PokerGame.getSaveFields().forEach(field => {
+      if (field in state) this[field] = state[field];
+    });
+
+    this.singleWinner = state.singleWinnerId === null ? null : this.players[state.singleWinnerId];
+    this.sessionRng = new SeededRandom(this.sessionSeed);
+    this.rng = new SeededRandom(this.handSeed);
+    this.aiRng = this.rng.fork('ai');
+    this.simRng = this.rng.fork('sim');
+    if (state.rngState) {
+      this.sessionRng.setState(state.rngState.session);
+      this.rng.setState(state.rngState.deck);
+      this.aiRng.setState(state.rngState.ai);
+      this.simRng.setState(state.rngState.sim);
+    }
+
+    this.blindSchedule = BlindSchedule.fromState(state.blindSchedule);
+    this.equityStateKey = null; // Recompute equity for the restored spot
+    this.resetOpponentRanges();
+    Object.keys(state.rangeWeights || {}).forEach(id => {
+      if (this.opponentRanges[id]) this.opponentRanges[id].weights = state.rangeWeights[id];
+    });
+    return true;
+  }
+
+  // Finished hands are in the hand database already, so the save leaves handHistory out and stays small
+  saveGame() {
+    try {
+      localStorage.setItem(this.SAVE_KEY, JSON.stringify(this.serialize({ includeHistory: false })));
+      return true;
+    } catch (err) {
+      console.warn('Could not save game:', err);
+      return false;
+    }
+  }
+
+  // Called after every action, new street, hand result and deal
+  autosave() {
+    if (this.autosaveEnabled) this.saveGame();
+  }
+
+  loadSavedGame() {
+    try {
+      const stored = localStorage.getItem(this.SAVE_KEY);
+      return stored ? JSON.parse(stored) : null;
+    } catch (err) {
+      console.warn('Saved game is unreadable:', err);
+      return null;
+    }
+  }
+
+  // A finished game (human busted) isn't worth resuming
+  hasSavedGame() {
+    const saved = this.loadSavedGame();
+    return !!(saved && saved.saveVersion === 1 && !saved.gameOver);
+  }
+
+  resumeSavedGame() {
+    const restored = this.restore(this.loadSavedGame());
+    if (!restored) return false;
+    // Saves from before the hand database existed still carry their recent hands; newer ones get
+    // theirs back from the database
+    if (this.handHistory.length) this.handHistory.forEach(hand => this.storeHand(hand));
+    else this.loadRecentHands();
+    return true;
+  }
+
+  // Refill handHistory with this session's latest hands from the database
+  loadRecentHands() {
+    if (!this.handDatabase) return Promise.resolve();
+    return this.handDatabase.query({}, { limit: 50 }).then(({ hands }) => {
+      const known = new Set(this.handHistory.map(hand => hand.id));
+      const recent = hands.filter(hand => hand.sessionSeed === this.sessionSeed && !known.has(hand.id)).reverse();
+      this.handHistory = [...recent, ...this.handHistory].slice(-50);
+    }).catch(err => console.warn('Could not load recent hands:', err));
+  }
+
+  clearSavedGame() {
+    localStorage.removeItem(this.SAVE_KEY);
+  }
+
+  // UNDO / REWIND
+  // Fields the rest of a hand can change. A rewind only needs these, the random streams and the ranges,
+  // so snapshots skip the rest of serialize() (settings, opponent stats, the blind schedule...).
+  static getHandStateFields() {
+    return [
+      'players', 'deck', 'communityCards', 'currentPlayerIndex', 'pot', 'currentBet', 'deadMoney', 'gamePhase',
+      'betsThisRound', 'bettingRound', 'lastBettor', 'lastRaiseSize', 'sidePots', 'eliminationOrder', 'gameOver',
+      'humanPlayerPlacement', 'userStats', 'mistakeTracker', 'singlePlayerWin', 'inShowdownUI'
+    ];
+  }
+
+  // State just before a player's action; logLength is where that action's log entry will go.
+  // The log is kept without its actions, which the rewind takes from the live log instead.
+  captureSnapshot(playerId) {
+    const state = {};
+    PokerGame.getHandStateFields().forEach(field => {
+      state[field] = this[field] === undefined ? null : this[field];
+    });
+    state.currentHandLog = this.currentHandLog ? { ...this.currentHandLog, actions: [] } : null;
+    state.singleWinnerId = this.singleWinner ? this.singleWinner.id : null;
+    state.rngState = { deck: this.rng.getState(), ai: this.aiRng.getState(), sim: this.simRng.getState() };
+    state.rangeWeights = {};
+    Object.keys(this.opponentRanges).forEach(id => { state.rangeWeights[id] = this.opponentRanges[id].weights; });
+    return {
+      playerId: playerId,
+      logLength: this.currentHandLog ? this.currentHandLog.actions.length : 0,
+      state: JSON.parse(JSON.stringify(state))
+    };
+  }
+
+  // The snapshot is used up: the rewind drops it along with the ones after it
+  restoreSnapshot(snapshot) {
+    const state = snapshot.state;
+    PokerGame.getHandStateFields().forEach(field => { this[field] = state[field]; });
+    this.currentHandLog = state.currentHandLog;
+    this.singleWinner = state.singleWinnerId === null ? null : this.players[state.singleWinnerId];
+    this.rng.setState(state.rngState.deck);
+    this.aiRng.setState(state.rngState.ai);
+    this.simRng.setState(state.rngState.sim);
+    this.equityStateKey = null;
+    this.resetOpponentRanges();
+    Object.keys(state.rangeWeights).forEach(id => {
+      if (this.opponentRanges[id]) this.opponentRanges[id].weights = state.rangeWeights[id];
+    });
+  }
+
+  // Actions of the current hand that can be rewound to (rewinding to one replays it from scratch)
+  getRewindPoints() {
+    return this.actionSnapshots.map((snapshot, index) => {
+      const entry = this.currentHandLog ? this.currentHandLog.actions[snapshot.logLength] : null;
+      const player = this.players[snapshot.playerId];
+      return {
+        index: index,
+        playerId: snapshot.playerId,
+        actor: player.name,
+        isHuman: player.isHuman,
+        stage: entry ? entry.stage : snapshot.state.gamePhase,
+        action: entry ? entry.action : null,
+        amount: entry ? entry.amount : 0
+      };
+    });
+  }
+
+  canUndo() {
+    return this.actionSnapshots.some(s => this.players[s.playerId].isHuman);
+  }
+
+  // Put the table back to just before action #index. The deck and random streams come back too,
+  // so the same cards fall. Log entries from that point on stay in the log marked rewound: true,
+  // and userStats return to their earlier values so the retried decision isn't counted twice.
+  rewindToAction(index) {
+    const snapshot = this.actionSnapshots[index];
+    if (!snapshot) {
+      return this.rejectAction('NOTHING_TO_REWIND', 'There is no such action to rewind to in this hand');
+    }
+
+    const liveActions = this.currentHandLog ? this.currentHandLog.actions : [];
+    const snapshots = this.actionSnapshots.slice(0, index);
+    this.restoreSnapshot(snapshot);
+
+    if (this.currentHandLog) {
+      this.currentHandLog.actions = liveActions.map((entry, i) =>
+        (i >= snapshot.logLength && !entry.rewound) ? { ...entry, rewound: true } : entry
+      );
+      this.currentHandLog.rewinds = (this.currentHandLog.rewinds || 0) + 1;
+    }
+    this.actionSnapshots = snapshots;
+    this.autosave();
+
+    return { ok: true, index: index, playerId: snapshot.playerId };
+  }
+
+  // Take back the human's most recent action (and everything the AI did after it)
+  undoLastHumanAction() {
+    for (let i = this.actionSnapshots.length - 1; i >= 0; i--) {
+      if (this.players[this.actionSnapshots[i].playerId].isHuman) {
+        return this.rewindToAction(i);
+      }
+    }
+    return this.rejectAction('NOTHING_TO_UNDO', 'You have no action to take back this hand');
+  }
+
   // SCENARIO MODE LOGIC
   startScenario(type) {
-    this.startNewHand();
+    // Drills are no-limit Hold'em spots regardless of the selected variant and structure
+    this.startNewHand(null, 'holdem', true);
+    this.handStructure = 'no-limit';
     this.currentHandLog.isScenario = true;
     this.currentHandLog.scenarioType = type;
 
     const human = this.players[0];
     const villain = this.players[this.players.length - 1]; // Use last player as villain usually
 
+    // The staged pot stands in for the blinds and antes startNewHand posted, so none of them stay live
+    this.players.forEach(p => {
+      p.currentBet = 0;
+      p.totalChipsBet = 0;
+      p.anteChips = 0;
+      p.hasActed = false;
+    });
+    this.currentBet = 0;
+    this.betsThisRound = 0;
+    this.lastRaiseSize = 0;
+    let forced;
+
     if (type === 'river_call') {
       // Scenario: River Bluff Catch
       // Board: Ks 8h 2c 9d Qh (Scary board, straight possible)
@@ -1299,11 +2430,11 @@ class PokerGame {
       ];
 
       this.pot = 300;
-      this.currentBet = 0;
+      this.deadMoney = this.pot;
 
       // Force Villain Bet
       villain.chips = 1000;
-      this.playerBet(villain.id, 500); // Massive overbet bluff
+      forced = this.playerBet(villain.id, 500); // Massive overbet bluff
       this.currentPlayerIndex = 0; // Action on user
     }
     else if (type === 'flush_draw') {
@@ -1330,10 +2461,31 @@ class PokerGame {
       ];
 
       this.pot = 100;
+      this.deadMoney = this.pot;
       villain.chips = 1000;
-      this.playerBet(villain.id, 100); // Pot sized bet
+      forced = this.playerBet(villain.id, 100); // Pot sized bet
       this.currentPlayerIndex = 0;
     }
+    if (forced && !forced.ok) return forced;
+
+    // Drills skip the deal and the betting that led to the spot, so replays start from the staged table
+    this.currentHandLog.stagedStart = {
+      stage: this.gamePhase,
+      pot: this.pot,
+      communityCards: [...this.communityCards],
+      players: this.players.filter(p => !p.eliminated).map(p => ({
+        id: p.id,
+        name: p.name,
+        isHuman: p.isHuman,
+        chips: p.chips,
+        currentBet: p.currentBet,
+        folded: p.folded,
+        cards: p.hand.map(c => c.value + c.suit)
+      }))
+    };
+
+    this.autosave();
+    return { ok: true };
   }
 
   // Deprecated old method, replacing with logAction
@@ -1361,12 +2513,20 @@ class BankrollManager {
         bankroll: 50, // Starting Bankroll (Micro stakes)
         handsPlayed: 0,
         level: 1, // 1=Micro, 2=Low, 3=Mid, 4=High, 5=Pro
-        totalWinnings: 0
+        totalWinnings: 0,
+        netChips: 0 // Exact chips won or lost across every finished hand
       };
       this.saveData();
     }
   }
 
+  // Net chip change of one finished hand
+  recordHand(netChips) {
+    this.data.handsPlayed = (this.data.handsPlayed || 0) + 1;
+    this.data.netChips = (this.data.netChips || 0) + netChips;
+    this.saveData();
+  }
+
   saveData() {
     localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.data));
   }
@@ -1427,6 +2587,156 @@ class BankrollManager {
   }
 }
 
+// Blind Schedule Class
+// Tournament-style blind levels that rise by hand count or elapsed time, with optional antes
+class BlindSchedule {
+  constructor(options = {}) {
+    const preset = BlindSchedule.getPresets()[options.preset || 'cash'];
+    const config = { ...preset, ...options };
+
+    this.preset = options.preset || 'cash';
+    this.name = config.name;
+    this.levels = config.levels; // [{smallBlind, bigBlind, ante}]
+    this.mode = config.mode; // 'fixed', 'hands' or 'time'
+    this.handsPerLevel = config.handsPerLevel || 10;
+    this.minutesPerLevel = config.minutesPerLevel || 10;
+    this.anteType = config.anteType || 'none'; // 'none', 'standard' (everyone) or 'big-blind' (BB pays for the table)
+    this.reset();
+  }
+
+  static getPresets() {
+    // Sized for 1000-chip starting stacks
+    const tournamentLevels = [
+      { smallBlind: 10, bigBlind: 20, ante: 0 },
+      { smallBlind: 15, bigBlind: 30, ante: 0 },
+      { smallBlind: 25, bigBlind: 50, ante: 5 },
+      { smallBlind: 50, bigBlind: 100, ante: 10 },
+      { smallBlind: 75, bigBlind: 150, ante: 15 },
+      { smallBlind: 100, bigBlind: 200, ante: 25 },
+      { smallBlind: 150, bigBlind: 300, ante: 25 },
+      { smallBlind: 200, bigBlind: 400, ante: 50 },
+      { smallBlind: 300, bigBlind: 600, ante: 75 },
+      { smallBlind: 400, bigBlind: 800, ante: 100 },
+      { smallBlind: 600, bigBlind: 1200, ante: 150 },
+      { smallBlind: 1000, bigBlind: 2000, ante: 250 }
+    ];
+
+    return {
+      cash: { name: 'Cash (10/20)', mode: 'fixed', anteType: 'none', levels: [{ smallBlind: 10, bigBlind: 20, ante: 0 }] },
+      turbo: { name: 'Turbo (every 10 hands)', mode: 'hands', handsPerLevel: 10, anteType: 'standard', levels: tournamentLevels },
+      tournament: { name: 'Tournament (10 min levels)', mode: 'time', minutesPerLevel: 10, anteType: 'standard', levels: tournamentLevels },
+      bigBlindAnte: { name: 'Tournament, BB Ante (10 min levels)', mode: 'time', minutesPerLevel: 10, anteType: 'big-blind', levels: tournamentLevels }
+    };
+  }
+
+  reset() {
+    this.levelIndex = 0;
+    this.handsAtLevel = 0;
+    this.started = false; // Clock starts with the first hand
+    this.levelElapsed = 0; // Milliseconds played at this level before runningSince
+    this.runningSince = null; // When the clock last started running; null while paused
+  }
+
+  // Time played at the current level
+  getElapsed(now = Date.now()) {
+    return this.levelElapsed + (this.runningSince === null ? 0 : now - this.runningSince);
+  }
+
+  // Drills stop the clock; the next table hand starts it again
+  pause(now = Date.now()) {
+    this.levelElapsed = this.getElapsed(now);
+    this.runningSince = null;
+  }
+
+  // Saved with the game as time played, so time spent away doesn't count towards the level
+  getState(now = Date.now()) {
+    return {
+      preset: this.preset,
+      name: this.name,
+      levels: this.levels,
+      mode: this.mode,
+      handsPerLevel: this.handsPerLevel,
+      minutesPerLevel: this.minutesPerLevel,
+      anteType: this.anteType,
+      levelIndex: this.levelIndex,
+      handsAtLevel: this.handsAtLevel,
+      started: this.started,
+      levelElapsed: this.getElapsed(now),
+      running: this.runningSince !== null
+    };
+  }
+
+  static fromState(state) {
+    if (!state) return new BlindSchedule();
+    const schedule = new BlindSchedule(state);
+    schedule.levelIndex = Math.min(state.levelIndex || 0, schedule.levels.length - 1);
+    schedule.handsAtLevel = state.handsAtLevel || 0;
+    // Saves from before the clock could pause only kept a start time; their level restarts its clock
+    schedule.started = 'started' in state ? state.started : (state.levelStartTime !== null && state.levelStartTime !== undefined);
+    schedule.levelElapsed = state.levelElapsed || 0;
+    schedule.runningSince = schedule.started && state.running !== false ? Date.now() : null;
+    return schedule;
+  }
+
+  // Called once per hand before blinds are posted. Returns true if the level went up.
+  startHand(now = Date.now()) {
+    const previousLevel = this.levelIndex;
+
+    if (!this.started) {
+      this.started = true;
+      this.runningSince = now;
+    } else if (this.mode === 'hands' && this.handsAtLevel >= this.handsPerLevel) {
+      this.advanceLevel(now);
+    } else if (this.mode === 'time') {
+      // Catch up on every level that expired since the last hand
+      let elapsed = this.getElapsed(now);
+      while (elapsed >= this.minutesPerLevel * 60000 && this.levelIndex < this.levels.length - 1) {
+        elapsed -= this.minutesPerLevel * 60000;
+        this.levelIndex++;
+        this.handsAtLevel = 0;
+      }
+      this.levelElapsed = elapsed;
+      this.runningSince = now;
+    } else if (this.runningSince === null) {
+      this.runningSince = now;
+    }
+
+    this.handsAtLevel++;
+    return this.levelIndex !== previousLevel;
+  }
+
+  advanceLevel(now = Date.now()) {
+    if (this.levelIndex < this.levels.length - 1) this.levelIndex++;
+    this.handsAtLevel = 0;
+    this.levelElapsed = 0;
+    this.runningSince = now;
+  }
+
+  getCurrentLevel() {
+    const level = this.levels[this.levelIndex];
+    // Big-blind ante: the BB posts one big blind on behalf of the whole table
+    const ante = this.anteType === 'none' ? 0 : (this.anteType === 'big-blind' ? level.bigBlind : level.ante);
+    return { number: this.levelIndex + 1, smallBlind: level.smallBlind, bigBlind: level.bigBlind, ante: ante };
+  }
+
+  getNextLevel() {
+    if (this.mode === 'fixed' || this.levelIndex >= this.levels.length - 1) return null;
+    const level = this.levels[this.levelIndex + 1];
+    const ante = this.anteType === 'none' ? 0 : (this.anteType === 'big-blind' ? level.bigBlind : level.ante);
+    return { number: this.levelIndex + 2, smallBlind: level.smallBlind, bigBlind: level.bigBlind, ante: ante };
+  }
+
+  // Hands or milliseconds until the next level (null when blinds never go up)
+  getCountdown(now = Date.now()) {
+    if (!this.getNextLevel()) return null;
+    if (this.mode === 'hands') {
+      return { type: 'hands', remaining: Math.max(0, this.handsPerLevel - this.handsAtLevel) };
+    }
+    return { type: 'time', remaining: Math.max(0, this.minutesPerLevel * 60000 - this.getElapsed(now)) };
+  }
+}
+
 // Export for use in HTML
 window.PokerGame = PokerGame;
 window.BankrollManager = BankrollManager;
+window.BlindSchedule = BlindSchedule;
@@ -0,0 +1,74 @@
+// Seedable Random Number Generator for Q-Poker
+// Deterministic PRNG (mulberry32) so deals, AI decisions and simulations can be reproduced from a seed
+
+class SeededRandom {
+    constructor(seed = null) {
+        this.setSeed(seed === null || seed === undefined ? SeededRandom.randomSeed() : seed);
+    }
+
+    // Fresh unpredictable seed (the only place Math.random is used)
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // Accept numbers or arbitrary strings (e.g. "friday-drill") and map them to a 32-bit seed
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(Math.abs(seed)) >>> 0;
+        }
+
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a string hash
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1) - drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [0, max)
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    // Full 32-bit unsigned integer (used to derive hand seeds from a session seed)
+    nextUint32() {
+        return Math.floor(this.next() * 0x100000000) >>> 0;
+    }
+
+    // Independent stream derived from this seed, e.g. fork('ai') vs fork('sim')
+    fork(label) {
+        return new SeededRandom(SeededRandom.normalizeSeed(`${this.seed}:${label}`));
+    }
+
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState(saved) {
+        this.seed = saved.seed >>> 0;
+        this.state = saved.state >>> 0;
+    }
+}
+
+// Export for use in HTML
+window.SeededRandom = SeededRandom;
@@ -0,0 +1,248 @@
+// Session Charts for Q-Poker
+// Draws the hero's results from the hand database on a canvas: chip stack after each hand, cumulative
+// winnings in big blinds next to the all-in adjusted expectation, and the running win rate (BB/100)
+// with its 95% confidence band. Dashed lines mark where a new session (fresh game seed) started.
+
+class SessionChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    // hands: live hand records, oldest first. Returns {count, stack, won, ev, rate, low, high, sessions},
+    // one entry per hand in each array; sessions holds the indices where a new session begins.
+    static buildSeries(hands) {
+        const series = { count: hands.length, stack: [], won: [], ev: [], rate: [], low: [], high: [], sessions: [] };
+        let won = 0;
+        let ev = 0;
+        let sumSquares = 0;
+
+        hands.forEach((hand, i) => {
+            const summary = hand.summary || {};
+            const net = typeof summary.net === 'number' ? summary.net : (hand.pnl || 0);
+            const evNet = typeof summary.evNet === 'number' ? summary.evNet : net;
+            const bigBlind = summary.bigBlind || hand.bigBlind || SessionChart.DEFAULT_BIG_BLIND;
+            const result = net / bigBlind;
+
+            won += result;
+            ev += evNet / bigBlind;
+            sumSquares += result * result;
+            series.won.push(won);
+            series.ev.push(ev);
+            series.stack.push(SessionChart.stackAfter(hand, net));
+
+            // Normal approximation of the mean result per hand, scaled to 100 hands
+            const n = i + 1;
+            const mean = won / n;
+            series.rate.push(mean * 100);
+            if (n > 1) {
+                const variance = Math.max(0, (sumSquares - n * mean * mean) / (n - 1));
+                const margin = 1.96 * 100 * Math.sqrt(variance / n);
+                series.low.push(mean * 100 - margin);
+                series.high.push(mean * 100 + margin);
+            } else {
+                series.low.push(null);
+                series.high.push(null);
+            }
+
+            if (i > 0 && SessionChart.isNewSession(hands[i - 1], hand)) series.sessions.push(i);
+        });
+        return series;
+    }
+
+    static stackAfter(hand, net) {
+        if (hand.summary && typeof hand.summary.stack === 'number') return hand.summary.stack;
+        const hero = (hand.seats || []).find(s => s.isHuman);
+        return hero ? hero.chips + net : null;
+    }
+
+    // Records from before sessions were logged fall back to a long break between hands
+    static isNewSession(previous, hand) {
+        const before = previous.summary ? previous.summary.session : null;
+        const after = hand.summary ? hand.summary.session : null;
+        if (before !== null && before !== undefined && after !== null && after !== undefined) return before !== after;
+        const gap = (hand.summary ? hand.summary.time : hand.id) - (previous.summary ? previous.summary.time : previous.id);
+        return gap > SessionChart.SESSION_GAP;
+    }
+
+    // kind: 'stack' | 'winnings' | 'winrate'
+    draw(series, kind) {
+        const canvas = this.canvas;
+        const ctx = this.ctx;
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || canvas.width;
+        const height = canvas.clientHeight || canvas.height;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        ctx.font = '12px sans-serif';
+        if (series.count < 2) {
+            ctx.fillStyle = '#888';
+            ctx.textAlign = 'center';
+            ctx.fillText('Play a few more hands to chart your results', width / 2, height / 2);
+            return;
+        }
+
+        let lines;
+        let band = null;
+        let unit;
+        if (kind === 'stack') {
+            lines = [{ label: 'Chip stack', values: series.stack, color: '#ffd700' }];
+            unit = '$';
+        } else if (kind === 'winrate') {
+            lines = [{ label: 'BB/100', values: series.rate, color: '#ffd700' }];
+            band = { label: '95% confidence', low: series.low, high: series.high, color: 'rgba(255, 215, 0, 0.15)' };
+            unit = 'BB/100';
+        } else {
+            lines = [
+                { label: 'Won (BB)', values: series.won, color: '#ffd700' },
+                { label: 'All-in EV (BB)', values: series.ev, color: '#4CAF50' }
+            ];
+            unit = 'BB';
+        }
+
+        // Value range over everything drawn; winnings and win rate always show zero
+        const values = [];
+        lines.forEach(line => values.push(...line.values));
+        if (band) values.push(...band.low, ...band.high);
+        const finite = values.filter(v => typeof v === 'number' && isFinite(v));
+        if (finite.length === 0) return;
+        let min = Math.min(...finite);
+        let max = Math.max(...finite);
+        if (kind !== 'stack') {
+            min = Math.min(min, 0);
+            max = Math.max(max, 0);
+        }
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+        const step = SessionChart.niceStep((max - min) / 5);
+        min = Math.floor(min / step) * step;
+        max = Math.ceil(max / step) * step;
+
+        const area = { left: 56, right: width - 12, top: 28, bottom: height - 28 };
+        const x = i => area.left + (i / (series.count - 1)) * (area.right - area.left);
+        const y = v => area.bottom - ((v - min) / (max - min)) * (area.bottom - area.top);
+
+        // Grid and axis labels
+        ctx.strokeStyle = '#333';
+        ctx.fillStyle = '#888';
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let v = min; v <= max + step / 2; v += step) {
+            ctx.beginPath();
+            ctx.moveTo(area.left, y(v));
+            ctx.lineTo(area.right, y(v));
+            ctx.stroke();
+            ctx.fillText(SessionChart.formatTick(v, step, unit), area.left - 6, y(v));
+        }
+        if (min < 0 && max > 0) {
+            ctx.strokeStyle = '#666';
+            ctx.beginPath();
+            ctx.moveTo(area.left, y(0));
+            ctx.lineTo(area.right, y(0));
+            ctx.stroke();
+        }
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const handStep = SessionChart.niceStep((series.count - 1) / 6);
+        for (let i = 0; i < series.count; i += Math.max(1, handStep)) {
+            ctx.fillText(String(i + 1), x(i), area.bottom + 6);
+        }
+
+        // Session boundaries
+        ctx.save();
+        ctx.strokeStyle = '#5c8dd6';
+        ctx.fillStyle = '#5c8dd6';
+        ctx.setLineDash([4, 4]);
+        ctx.textBaseline = 'bottom';
+        series.sessions.forEach((index, n) => {
+            const at = x(index - 0.5);
+            ctx.beginPath();
+            ctx.moveTo(at, area.top);
+            ctx.lineTo(at, area.bottom);
+            ctx.stroke();
+            ctx.fillText(`S${n + 2}`, at, area.top - 2);
+        });
+        ctx.restore();
+
+        if (band) {
+            ctx.fillStyle = band.color;
+            ctx.beginPath();
+            let started = false;
+            const points = [];
+            band.high.forEach((v, i) => { if (v !== null) points.push([x(i), y(v)]); });
+            for (let i = band.low.length - 1; i >= 0; i--) {
+                if (band.low[i] !== null) points.push([x(i), y(band.low[i])]);
+            }
+            points.forEach(([px, py]) => {
+                if (started) ctx.lineTo(px, py);
+                else ctx.moveTo(px, py);
+                started = true;
+            });
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        lines.forEach(line => {
+            ctx.strokeStyle = line.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            let drawing = false;
+            line.values.forEach((v, i) => {
+                // Gaps where a value is unknown (older records without seats)
+                if (typeof v !== 'number') {
+                    drawing = false;
+                    return;
+                }
+                if (drawing) ctx.lineTo(x(i), y(v));
+                else ctx.moveTo(x(i), y(v));
+                drawing = true;
+            });
+            ctx.stroke();
+        });
+
+        // Legend
+        const legend = lines.map(line => ({ label: line.label, color: line.color }));
+        if (band) legend.push({ label: band.label, color: 'rgba(255, 215, 0, 0.4)' });
+        if (series.sessions.length) legend.push({ label: 'New session', color: '#5c8dd6' });
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        let legendX = area.left;
+        legend.forEach(item => {
+            ctx.fillStyle = item.color;
+            ctx.fillRect(legendX, 8, 12, 4);
+            ctx.fillStyle = '#ccc';
+            ctx.fillText(item.label, legendX + 16, 10);
+            legendX += 28 + ctx.measureText(item.label).width;
+        });
+    }
+
+    // 1, 2 or 5 times a power of ten
+    static niceStep(rough) {
+        if (!(rough > 0)) return 1;
+        const power = Math.pow(10, Math.floor(Math.log10(rough)));
+        const fraction = rough / power;
+        if (fraction <= 1) return power;
+        if (fraction <= 2) return 2 * power;
+        if (fraction <= 5) return 5 * power;
+        return 10 * power;
+    }
+
+    static formatTick(value, step, unit) {
+        const digits = step < 1 ? Math.min(2, Math.ceil(-Math.log10(step))) : 0;
+        const text = Math.abs(value).toFixed(digits);
+        const sign = value < 0 ? '-' : '';
+        return unit === '$' ? `${sign}$${text}` : `${sign}${text}`;
+    }
+}
+
+SessionChart.DEFAULT_BIG_BLIND = 20; // PokerGame's starting big blind, for records that didn't log one
+SessionChart.SESSION_GAP = 30 * 60 * 1000;
+
+// Export for use in HTML
+window.SessionChart = SessionChart;